@@ -0,0 +1,144 @@
+require('dotenv').config();
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+
+/* =========================
+   SCHEMA MIGRATIONS
+========================= */
+
+// Migrations live in migrations/ as NNN_name.js modules exporting `up` and
+// `down` SQL. They are applied in order, each in its own transaction, and
+// recorded in schema_migrations. The server applies pending ones on boot;
+// the CLI below is for running them by hand:
+//
+//   npm run migrate status
+//   npm run migrate up [version]     apply everything, or up to and including version
+//   npm run migrate down [steps]     roll back the last `steps` migrations (default 1)
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Held while migrating so two servers booting at once do not race
+const MIGRATION_LOCK_ID = 48151623;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(file, 10), name: file.replace(/\.js$/, ''), up: migration.up, down: migration.down };
+    });
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )`);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(r => r.version));
+}
+
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    err.message = `Migration ${migration.name} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Applies pending migrations up to and including `to`. Returns their names.
+async function migrateUp(pool, { to = Infinity, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const ran = [];
+    for (const migration of loadMigrations()) {
+      if (migration.version > to || applied.has(migration.version)) continue;
+      await runMigration(client, migration, 'up');
+      log(`🗄️ Applied migration ${migration.name}`);
+      ran.push(migration.name);
+    }
+    return ran;
+  });
+}
+
+// Rolls back the most recent `steps` applied migrations. Returns their names.
+async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const known = loadMigrations().filter(m => applied.has(m.version)).reverse();
+    const ran = [];
+    for (const migration of known.slice(0, steps)) {
+      await runMigration(client, migration, 'down');
+      log(`🗄️ Rolled back migration ${migration.name}`);
+      ran.push(migration.name);
+    }
+    return ran;
+  });
+}
+
+async function migrationStatus(pool) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const migrations = loadMigrations();
+    return {
+      applied: migrations.filter(m => applied.has(m.version)).map(m => m.name),
+      pending: migrations.filter(m => !applied.has(m.version)).map(m => m.name)
+    };
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus };
+
+if (require.main === module) {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  const run = async () => {
+    if (command === 'up') {
+      const ran = await migrateUp(pool, { to: arg ? parseInt(arg, 10) : Infinity });
+      if (ran.length === 0) console.log('Schema is up to date');
+    } else if (command === 'down') {
+      const ran = await migrateDown(pool, { steps: arg ? parseInt(arg, 10) : 1 });
+      if (ran.length === 0) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+      const { applied, pending } = await migrationStatus(pool);
+      applied.forEach(name => console.log(`  applied  ${name}`));
+      pending.forEach(name => console.log(`  pending  ${name}`));
+    } else {
+      throw new Error(`Unknown command "${command}"; use up, down or status`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(err => {
+      console.error(`❌ ${err.message}`);
+      pool.end().finally(() => process.exit(1));
+    });
+}
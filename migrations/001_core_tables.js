@@ -0,0 +1,79 @@
+// Tables the app was originally deployed with, plus the unique constraints
+// /signup relies on. Everything is IF NOT EXISTS so databases that were set up
+// by hand adopt this migration without changes; such a database must not hold
+// duplicate usernames or phone numbers, or the unique indexes fail to build.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      pin TEXT NOT NULL,
+      balance NUMERIC(14,2) NOT NULL DEFAULT 0,
+      referral_code TEXT,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended')),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS referral_code TEXT,
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+    CREATE UNIQUE INDEX IF NOT EXISTS users_username_key ON users (username);
+    CREATE UNIQUE INDEX IF NOT EXISTS users_phone_key ON users (phone);
+    CREATE INDEX IF NOT EXISTS users_referral_code_idx ON users (referral_code);
+
+    CREATE TABLE IF NOT EXISTS bets (
+      id SERIAL PRIMARY KEY,
+      phone TEXT NOT NULL,
+      amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+      multiplier NUMERIC(20,2),
+      status TEXT NOT NULL DEFAULT 'placed' CHECK (status IN ('placed', 'cashed_out', 'lost', 'cancelled', 'void')),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE bets
+      ADD COLUMN IF NOT EXISTS multiplier NUMERIC(20,2),
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+    CREATE INDEX IF NOT EXISTS bets_phone_created_idx ON bets (phone, created_at);
+    CREATE INDEX IF NOT EXISTS bets_status_idx ON bets (status);
+
+    CREATE TABLE IF NOT EXISTS transactions (
+      id SERIAL PRIMARY KEY,
+      phone TEXT NOT NULL,
+      amount NUMERIC(14,2) NOT NULL,
+      type TEXT NOT NULL,
+      reference TEXT,
+      status TEXT NOT NULL DEFAULT 'success',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE transactions
+      ADD COLUMN IF NOT EXISTS reference TEXT,
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'success',
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+    CREATE INDEX IF NOT EXISTS transactions_phone_created_idx ON transactions (phone, created_at);
+    CREATE INDEX IF NOT EXISTS transactions_type_created_idx ON transactions (type, created_at);
+
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      phone TEXT NOT NULL,
+      message TEXT NOT NULL,
+      is_read BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE notifications
+      ADD COLUMN IF NOT EXISTS is_read BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+    CREATE INDEX IF NOT EXISTS notifications_phone_created_idx ON notifications (phone, created_at);
+
+    CREATE TABLE IF NOT EXISTS settings (
+      setting_key TEXT PRIMARY KEY,
+      setting_value TEXT
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS settings;
+    DROP TABLE IF EXISTS notifications;
+    DROP TABLE IF EXISTS transactions;
+    DROP TABLE IF EXISTS bets;
+    DROP TABLE IF EXISTS users;
+  `
+};
@@ -0,0 +1,50 @@
+// Round history and the provably fair seed chain; bets are linked to the
+// round they rode in once they are activated.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS seed_chains (
+      id SERIAL PRIMARY KEY,
+      origin_seed TEXT NOT NULL,
+      terminating_hash TEXT NOT NULL,
+      client_seed TEXT NOT NULL,
+      house_edge NUMERIC(5,4) NOT NULL,
+      length INTEGER NOT NULL,
+      next_index INTEGER NOT NULL,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS rounds (
+      id SERIAL PRIMARY KEY,
+      provably_fair BOOLEAN DEFAULT false,
+      chain_id INTEGER REFERENCES seed_chains(id),
+      chain_index INTEGER,
+      seed_hash TEXT,
+      server_seed TEXT,
+      crash_point NUMERIC(20,2),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE rounds
+      ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS crashed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS total_wagered NUMERIC(14,2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS total_paid_out NUMERIC(14,2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS player_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'waiting',
+      ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+    CREATE INDEX IF NOT EXISTS rounds_crashed_at_idx ON rounds (crashed_at);
+
+    ALTER TABLE bets
+      ADD COLUMN IF NOT EXISTS round_id INTEGER REFERENCES rounds(id),
+      ADD COLUMN IF NOT EXISTS panel SMALLINT,
+      ADD COLUMN IF NOT EXISTS auto_cashout NUMERIC(12,2);
+    CREATE INDEX IF NOT EXISTS bets_round_id_idx ON bets (round_id);
+  `,
+  down: `
+    ALTER TABLE bets
+      DROP COLUMN IF EXISTS auto_cashout,
+      DROP COLUMN IF EXISTS panel,
+      DROP COLUMN IF EXISTS round_id;
+    DROP TABLE IF EXISTS rounds;
+    DROP TABLE IF EXISTS seed_chains;
+  `
+};
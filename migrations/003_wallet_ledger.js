@@ -0,0 +1,36 @@
+// Double-entry ledger behind walletPost, and the guard that keeps a deposit
+// reference from being credited twice. Older databases may already hold
+// duplicate deposit references; the index is then skipped with a warning
+// rather than blocking the migration.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS house_accounts (
+      account TEXT PRIMARY KEY,
+      balance NUMERIC(16,2) NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id BIGSERIAL PRIMARY KEY,
+      journal_id UUID NOT NULL,
+      account TEXT NOT NULL,
+      amount NUMERIC(16,2) NOT NULL,
+      balance_after NUMERIC(16,2) NOT NULL,
+      type TEXT NOT NULL,
+      transaction_id INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS ledger_entries_account_idx ON ledger_entries (account);
+    CREATE INDEX IF NOT EXISTS ledger_entries_journal_idx ON ledger_entries (journal_id);
+
+    DO $$
+    BEGIN
+      CREATE UNIQUE INDEX IF NOT EXISTS transactions_deposit_reference_idx ON transactions (reference) WHERE type = 'deposit';
+    EXCEPTION WHEN unique_violation THEN
+      RAISE WARNING 'Duplicate deposit references exist; unique deposit index not created';
+    END $$;
+  `,
+  down: `
+    DROP INDEX IF EXISTS transactions_deposit_reference_idx;
+    DROP TABLE IF EXISTS ledger_entries;
+    DROP TABLE IF EXISTS house_accounts;
+  `
+};
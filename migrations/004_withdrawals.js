@@ -0,0 +1,22 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS withdrawals (
+      id SERIAL PRIMARY KEY,
+      phone TEXT NOT NULL,
+      amount NUMERIC(14,2) NOT NULL,
+      reference TEXT UNIQUE NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      transaction_id INTEGER,
+      provider_reference TEXT,
+      transaction_code TEXT,
+      failure_reason TEXT,
+      approved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS withdrawals_status_idx ON withdrawals (status);
+  `,
+  down: `
+    DROP TABLE IF EXISTS withdrawals;
+  `
+};
@@ -0,0 +1,27 @@
+// Token sessions, hashed PINs and PIN lockout.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS sessions (
+      id UUID PRIMARY KEY,
+      phone TEXT NOT NULL,
+      refresh_hash TEXT NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_used_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS sessions_phone_idx ON sessions (phone);
+
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS failed_pin_attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+    -- Hashed PINs no longer fit a short VARCHAR column
+    ALTER TABLE users ALTER COLUMN pin TYPE TEXT;
+  `,
+  down: `
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS locked_until,
+      DROP COLUMN IF EXISTS failed_pin_attempts;
+    DROP TABLE IF EXISTS sessions;
+  `
+};
@@ -0,0 +1,51 @@
+// Admin accounts, their sessions and the append-only audit log.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'support', 'finance', 'superadmin')),
+      active BOOLEAN NOT NULL DEFAULT true,
+      last_login_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id UUID PRIMARY KEY,
+      admin_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      ip TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      admin_id INTEGER,
+      admin_username TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      before_value JSONB,
+      after_value JSONB,
+      ip TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS admin_audit_log_created_idx ON admin_audit_log (created_at);
+
+    -- Append-only: reject any UPDATE or DELETE at the database level
+    CREATE OR REPLACE FUNCTION admin_audit_log_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'admin_audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+    DROP TRIGGER IF EXISTS admin_audit_log_no_change ON admin_audit_log;
+    CREATE TRIGGER admin_audit_log_no_change BEFORE UPDATE OR DELETE ON admin_audit_log
+      FOR EACH ROW EXECUTE FUNCTION admin_audit_log_immutable();
+  `,
+  down: `
+    DROP TABLE IF EXISTS admin_audit_log;
+    DROP FUNCTION IF EXISTS admin_audit_log_immutable();
+    DROP TABLE IF EXISTS admin_sessions;
+    DROP TABLE IF EXISTS admin_users;
+  `
+};
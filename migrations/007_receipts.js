@@ -0,0 +1,23 @@
+// STK deposit receipts (formerly receipts.json) and reconciliation bookkeeping.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS receipts (
+      reference TEXT PRIMARY KEY,
+      phone TEXT NOT NULL,
+      amount NUMERIC(14,2) NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+      provider_reference TEXT,
+      transaction_code TEXT,
+      failure_reason TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS receipts_status_idx ON receipts (status, created_at);
+    ALTER TABLE receipts
+      ADD COLUMN IF NOT EXISTS check_attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP;
+  `,
+  down: `
+    DROP TABLE IF EXISTS receipts;
+  `
+};
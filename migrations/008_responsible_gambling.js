@@ -0,0 +1,28 @@
+// Deposit/loss limits, cool-off, self-exclusion and reality-check settings.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS player_limits (
+      phone TEXT NOT NULL,
+      limit_type TEXT NOT NULL CHECK (limit_type IN ('deposit', 'loss')),
+      period TEXT NOT NULL CHECK (period IN ('daily', 'weekly', 'monthly')),
+      amount NUMERIC(14,2) NOT NULL,
+      pending_amount NUMERIC(14,2),
+      pending_effective_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (phone, limit_type, period)
+    );
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS cool_off_until TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS self_excluded_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS self_excluded_until TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS reality_check_minutes INTEGER;
+  `,
+  down: `
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS reality_check_minutes,
+      DROP COLUMN IF EXISTS self_excluded_until,
+      DROP COLUMN IF EXISTS self_excluded_at,
+      DROP COLUMN IF EXISTS cool_off_until;
+    DROP TABLE IF EXISTS player_limits;
+  `
+};
@@ -0,0 +1,90 @@
+// Configurable referral programs. A referral links a referred player to the
+// code they signed up with; earnings are recorded per referral and held
+// (pending) until the player qualifies and the referral is not flagged.
+// Existing username-based referrals are carried over as qualified referrals
+// of the default program.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS referral_programs (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      signup_bonus NUMERIC(14,2) NOT NULL DEFAULT 0,
+      qualifying_deposit NUMERIC(14,2) NOT NULL DEFAULT 0,
+      commission_rate NUMERIC(5,4) NOT NULL DEFAULT 0 CHECK (commission_rate >= 0 AND commission_rate < 1),
+      commission_days INTEGER,
+      commission_cap NUMERIC(14,2),
+      tiers JSONB NOT NULL DEFAULT '[]',
+      is_default BOOLEAN NOT NULL DEFAULT false,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS referral_programs_default_idx ON referral_programs (is_default) WHERE is_default;
+    INSERT INTO referral_programs (name, signup_bonus, qualifying_deposit, commission_rate, commission_days, is_default)
+      SELECT 'Default', 20, 100, 0.05, 90, true
+      WHERE NOT EXISTS (SELECT 1 FROM referral_programs WHERE is_default);
+
+    CREATE TABLE IF NOT EXISTS referral_codes (
+      code TEXT PRIMARY KEY,
+      program_id INTEGER NOT NULL REFERENCES referral_programs(id),
+      owner_phone TEXT,
+      max_uses INTEGER,
+      uses INTEGER NOT NULL DEFAULT 0,
+      active BOOLEAN NOT NULL DEFAULT true,
+      expires_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS signup_ip TEXT,
+      ADD COLUMN IF NOT EXISTS signup_device_id TEXT;
+    CREATE INDEX IF NOT EXISTS users_signup_device_idx ON users (signup_device_id);
+
+    CREATE TABLE IF NOT EXISTS referrals (
+      id SERIAL PRIMARY KEY,
+      referred_phone TEXT UNIQUE NOT NULL,
+      referrer_phone TEXT,
+      code TEXT NOT NULL,
+      program_id INTEGER NOT NULL REFERENCES referral_programs(id),
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'qualified', 'rejected')),
+      flagged BOOLEAN NOT NULL DEFAULT false,
+      flag_reasons JSONB NOT NULL DEFAULT '[]',
+      reviewed_by TEXT,
+      qualified_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS referrals_referrer_idx ON referrals (referrer_phone);
+    CREATE INDEX IF NOT EXISTS referrals_flagged_idx ON referrals (flagged) WHERE flagged;
+
+    CREATE TABLE IF NOT EXISTS referral_earnings (
+      id SERIAL PRIMARY KEY,
+      referral_id INTEGER NOT NULL REFERENCES referrals(id),
+      earner_phone TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('bonus', 'commission')),
+      level INTEGER NOT NULL DEFAULT 1,
+      amount NUMERIC(14,2) NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'void')),
+      source_reference TEXT,
+      transaction_id INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      paid_at TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS referral_earnings_referral_idx ON referral_earnings (referral_id);
+    CREATE INDEX IF NOT EXISTS referral_earnings_earner_idx ON referral_earnings (earner_phone, status);
+
+    INSERT INTO referrals (referred_phone, referrer_phone, code, program_id, status, qualified_at, created_at)
+      SELECT u.phone, r.phone, u.referral_code, p.id, 'qualified', NOW(), COALESCE(u.created_at, NOW())
+      FROM users u
+      JOIN users r ON r.username = u.referral_code
+      CROSS JOIN (SELECT id FROM referral_programs WHERE is_default) p
+      ON CONFLICT (referred_phone) DO NOTHING;
+  `,
+  down: `
+    DROP TABLE IF EXISTS referral_earnings;
+    DROP TABLE IF EXISTS referrals;
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS signup_device_id,
+      DROP COLUMN IF EXISTS signup_ip;
+    DROP TABLE IF EXISTS referral_codes;
+    DROP TABLE IF EXISTS referral_programs;
+  `
+};
@@ -0,0 +1,65 @@
+// Bonus wallet and promotions. Bonus money sits in users.bonus_balance (ledger
+// account bonus:<phone>) and moves to the cash balance once the wagering
+// requirement of every active grant is met. Each transaction row records
+// which wallet it touched and each bet how its stake and win were split.
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS bonus_balance NUMERIC(14,2) NOT NULL DEFAULT 0;
+    ALTER TABLE transactions ADD COLUMN IF NOT EXISTS wallet TEXT NOT NULL DEFAULT 'cash' CHECK (wallet IN ('cash', 'bonus'));
+    ALTER TABLE bets
+      ADD COLUMN IF NOT EXISTS cash_stake NUMERIC(14,2),
+      ADD COLUMN IF NOT EXISTS bonus_stake NUMERIC(14,2),
+      ADD COLUMN IF NOT EXISTS free_bet_id INTEGER,
+      ADD COLUMN IF NOT EXISTS cash_win NUMERIC(14,2),
+      ADD COLUMN IF NOT EXISTS bonus_win NUMERIC(14,2);
+
+    CREATE TABLE IF NOT EXISTS promotions (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      kind TEXT NOT NULL CHECK (kind IN ('deposit_match', 'free_bet', 'cashback')),
+      match_rate NUMERIC(6,4),
+      min_deposit NUMERIC(14,2),
+      free_bet_amount NUMERIC(14,2),
+      cashback_rate NUMERIC(5,4),
+      cashback_days INTEGER,
+      max_bonus NUMERIC(14,2),
+      wagering_multiplier NUMERIC(6,2) NOT NULL DEFAULT 0,
+      valid_days INTEGER NOT NULL DEFAULT 7,
+      max_claims INTEGER DEFAULT 1,
+      starts_at TIMESTAMP,
+      ends_at TIMESTAMP,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS player_bonuses (
+      id SERIAL PRIMARY KEY,
+      phone TEXT NOT NULL,
+      promotion_id INTEGER REFERENCES promotions(id),
+      kind TEXT NOT NULL CHECK (kind IN ('deposit_match', 'free_bet', 'cashback', 'free_bet_winnings')),
+      status TEXT NOT NULL CHECK (status IN ('awaiting_deposit', 'available', 'used', 'active', 'completed', 'expired')),
+      amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+      wagering_required NUMERIC(14,2) NOT NULL DEFAULT 0,
+      wagered NUMERIC(14,2) NOT NULL DEFAULT 0,
+      source_reference TEXT,
+      expires_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS player_bonuses_phone_idx ON player_bonuses (phone, status);
+    CREATE INDEX IF NOT EXISTS player_bonuses_expiry_idx ON player_bonuses (status, expires_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS player_bonuses;
+    DROP TABLE IF EXISTS promotions;
+    ALTER TABLE bets
+      DROP COLUMN IF EXISTS bonus_win,
+      DROP COLUMN IF EXISTS cash_win,
+      DROP COLUMN IF EXISTS free_bet_id,
+      DROP COLUMN IF EXISTS bonus_stake,
+      DROP COLUMN IF EXISTS cash_stake;
+    ALTER TABLE transactions DROP COLUMN IF EXISTS wallet;
+    ALTER TABLE users DROP COLUMN IF EXISTS bonus_balance;
+  `
+};
@@ -0,0 +1,14 @@
+// Statements read a player's ledger accounts by date, and the history
+// endpoints page through bets and transactions by id.
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS ledger_entries_account_created_idx ON ledger_entries (account, created_at);
+    CREATE INDEX IF NOT EXISTS bets_phone_id_idx ON bets (phone, id);
+    CREATE INDEX IF NOT EXISTS transactions_phone_id_idx ON transactions (phone, id);
+  `,
+  down: `
+    DROP INDEX IF EXISTS transactions_phone_id_idx;
+    DROP INDEX IF EXISTS bets_phone_id_idx;
+    DROP INDEX IF EXISTS ledger_entries_account_created_idx;
+  `
+};
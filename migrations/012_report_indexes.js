@@ -0,0 +1,11 @@
+// Financial reports scan transactions and bets across all players by date.
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS transactions_created_idx ON transactions (created_at);
+    CREATE INDEX IF NOT EXISTS bets_created_idx ON bets (created_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS bets_created_idx;
+    DROP INDEX IF EXISTS transactions_created_idx;
+  `
+};
@@ -0,0 +1,13 @@
+// Failed admin sign-ins count towards a temporary lockout, as player PINs do.
+module.exports = {
+  up: `
+    ALTER TABLE admin_users
+      ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+  `,
+  down: `
+    ALTER TABLE admin_users
+      DROP COLUMN IF EXISTS locked_until,
+      DROP COLUMN IF EXISTS failed_login_attempts;
+  `
+};
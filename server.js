@@ -4,12 +4,18 @@ const cors = require("cors");
 const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const PDFDocument = require("pdfkit");
 const { Pool } = require("pg");
+const jwt = require("jsonwebtoken");
+const { WebSocketServer } = require("ws");
+const { migrateUp, migrationStatus } = require("./migrate");
 
 const app = express();
+app.set('trust proxy', 1);
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around so payment callbacks can be signature-checked
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 const PORT = process.env.PORT || 3000;
 
@@ -27,21 +33,372 @@ pool.connect()
   .catch(err => console.error("❌ DB Connection error", err.stack));
 
 /* =========================
-   RECEIPTS (JSON - OPTION A)
+   SCHEMA BOOTSTRAP
 ========================= */
 
-const receiptsFile = path.join(__dirname, "receipts.json");
+// The schema is defined by the migrations in migrations/ (see migrate.js).
+// Pending migrations are applied on boot; with MIGRATE_ON_START=false the
+// server instead refuses to start until `npm run migrate up` has been run.
+async function ensureSchema() {
+  if (process.env.MIGRATE_ON_START === 'false') {
+    const { pending } = await migrationStatus(pool);
+    if (pending.length > 0) throw new Error(`${pending.length} pending migrations; run "npm run migrate up"`);
+    return;
+  }
+  await migrateUp(pool);
+}
+
+/* =========================
+   WALLET SERVICE
+========================= */
+
+// All balance changes go through walletPost(). Inside one PostgreSQL
+// transaction it locks the player's row, moves users.balance, records the
+// transactions row and writes a journal of two ledger entries (player side
+// and house side) that sum to zero.
+
+class WalletError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const HOUSE_ACCOUNTS = {
+  bet: 'house:game',
+  win: 'house:game',
+  bet_refund: 'house:game',
+  deposit: 'house:cashier',
+  withdrawal: 'house:payouts_pending',
+  withdrawal_refund: 'house:payouts_pending',
+  referral_bonus: 'house:referrals',
+  referral_commission: 'house:referrals',
+  admin_adjustment: 'house:adjustments',
+  opening_balance: 'house:opening',
+  bonus_grant: 'house:bonuses',
+  bonus_conversion: 'house:bonuses',
+  bonus_forfeit: 'house:bonuses',
+  account_closure: 'house:closed_accounts'
+};
+
+function userAccount(phone) {
+  return 'user:' + phone;
+}
+
+function bonusAccount(phone) {
+  return 'bonus:' + phone;
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100) / 100;
+}
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  client.afterCommit = [];
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    for (const hook of client.afterCommit) hook();
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.afterCommit = null;
+    client.release();
+  }
+}
+
+// Defers fn until the surrounding transaction commits, so listeners never hear
+// about a change that was rolled back. Outside a transaction it runs at once.
+function afterCommit(db, fn) {
+  if (Array.isArray(db.afterCommit)) db.afterCommit.push(fn);
+  else fn();
+}
+
+async function writeJournal(client, entries) {
+  const journalId = crypto.randomUUID();
+  for (const e of entries) {
+    await client.query(
+      'INSERT INTO ledger_entries (journal_id, account, amount, balance_after, type, transaction_id) VALUES ($1, $2, $3, $4, $5, $6)',
+      [journalId, e.account, e.amount, e.balanceAfter, e.type, e.transactionId || null]
+    );
+  }
+  return journalId;
+}
+
+async function postHouse(client, account, amount) {
+  await client.query('INSERT INTO house_accounts (account) VALUES ($1) ON CONFLICT (account) DO NOTHING', [account]);
+  const result = await client.query(
+    'UPDATE house_accounts SET balance = balance + $1 WHERE account = $2 RETURNING balance',
+    [amount, account]
+  );
+  return parseFloat(result.rows[0].balance);
+}
+
+// Moves a signed amount into (positive) or out of (negative) a player's
+// wallet using the caller's transaction client. Options:
+//   reference, status      copied to the transactions row
+//   recordedAmount         amount stored in transactions (defaults to |amount|)
+//   notification           message inserted into notifications
+//   allowNegative          let the balance go below zero (admin adjustments)
+//   wallet                 'cash' (default) or 'bonus' for users.bonus_balance
+async function walletPost(client, phone, amount, type, options = {}) {
+  const value = toCents(amount);
+  if (isNaN(value)) throw new WalletError('Invalid amount');
+  const bonus = options.wallet === 'bonus';
+  const column = bonus ? 'bonus_balance' : 'balance';
+
+  const user = await client.query(`SELECT ${column} AS balance FROM users WHERE phone = $1 FOR UPDATE`, [phone]);
+  if (user.rows.length === 0) throw new WalletError('User not found', 404);
+
+  const newBalance = toCents(parseFloat(user.rows[0].balance) + value);
+  if (newBalance < 0 && !options.allowNegative) throw new WalletError('Insufficient balance');
+
+  await client.query(`UPDATE users SET ${column} = $1 WHERE phone = $2`, [newBalance, phone]);
+
+  const recorded = options.recordedAmount !== undefined ? options.recordedAmount : Math.abs(value);
+  const tx = await client.query(
+    'INSERT INTO transactions (phone, amount, type, reference, status, wallet) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+    [phone, recorded, type, options.reference || null, options.status || 'success', bonus ? 'bonus' : 'cash']
+  );
+  const transactionId = tx.rows[0].id;
+
+  const houseAccount = HOUSE_ACCOUNTS[type] || 'house:adjustments';
+  const houseBalance = await postHouse(client, houseAccount, -value);
+
+  await writeJournal(client, [
+    { account: bonus ? bonusAccount(phone) : userAccount(phone), amount: value, balanceAfter: newBalance, type, transactionId },
+    { account: houseAccount, amount: -value, balanceAfter: houseBalance, type, transactionId }
+  ]);
+
+  if (options.notification) {
+    await notify(client, phone, options.notification);
+  }
+
+  const event = bonus ? { bonus_balance: newBalance } : { balance: newBalance };
+  afterCommit(client, () => pushToUser(phone, 'balance', { ...event, type, reference: options.reference || null }));
+  return { balance: newBalance, transactionId };
+}
+
+// Moves money between two house accounts, e.g. when a held withdrawal is paid.
+async function houseTransfer(client, from, to, amount, type) {
+  const value = toCents(amount);
+  const fromBalance = await postHouse(client, from, -value);
+  const toBalance = await postHouse(client, to, value);
+  await writeJournal(client, [
+    { account: from, amount: -value, balanceAfter: fromBalance, type },
+    { account: to, amount: value, balanceAfter: toBalance, type }
+  ]);
+}
+
+// Empties both wallets into house:closed_accounts and deletes the user, so
+// their ledger accounts end at zero and a new signup on the same phone
+// reconciles from a clean start.
+async function deleteUser(client, phone) {
+  const user = await client.query('SELECT balance, bonus_balance FROM users WHERE phone = $1 FOR UPDATE', [phone]);
+  if (user.rows.length === 0) throw new WalletError('User not found', 404);
+  const cash = toCents(user.rows[0].balance);
+  const bonus = toCents(user.rows[0].bonus_balance);
+  if (cash !== 0) await walletPost(client, phone, -cash, 'account_closure', { allowNegative: true });
+  if (bonus !== 0) await walletPost(client, phone, -bonus, 'account_closure', { wallet: 'bonus', allowNegative: true });
+  await client.query('DELETE FROM users WHERE phone = $1', [phone]);
+}
+
+function walletCredit(phone, amount, type, options) {
+  return withTransaction(client => walletPost(client, phone, Math.abs(amount), type, options));
+}
+
+function walletDebit(phone, amount, type, options) {
+  return withTransaction(client => walletPost(client, phone, -Math.abs(amount), type, options));
+}
+
+// Gives every pre-ledger user an opening balance journal so that the
+// reconciliation below holds from the first boot.
+async function openLedgerBalances() {
+  const missing = await pool.query(
+    "SELECT phone FROM users u WHERE u.balance <> 0 AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.account = 'user:' || u.phone)"
+  );
+  for (const row of missing.rows) {
+    await withTransaction(async client => {
+      const user = await client.query('SELECT balance FROM users WHERE phone = $1 FOR UPDATE', [row.phone]);
+      const seen = await client.query('SELECT 1 FROM ledger_entries WHERE account = $1 LIMIT 1', [userAccount(row.phone)]);
+      if (user.rows.length === 0 || seen.rows.length > 0) return;
+
+      const balance = toCents(user.rows[0].balance);
+      const houseBalance = await postHouse(client, HOUSE_ACCOUNTS.opening_balance, -balance);
+      await writeJournal(client, [
+        { account: userAccount(row.phone), amount: balance, balanceAfter: balance, type: 'opening_balance' },
+        { account: HOUSE_ACCOUNTS.opening_balance, amount: -balance, balanceAfter: houseBalance, type: 'opening_balance' }
+      ]);
+    });
+  }
+  if (missing.rows.length > 0) console.log(`📒 Opened ledger balances for ${missing.rows.length} users`);
+}
+
+// Proves users.balance and users.bonus_balance (and house_accounts.balance)
+// equal the sum of their ledger entries, and that every journal nets to zero.
+async function reconcileWallets() {
+  const users = await pool.query(`
+    SELECT u.phone, ROUND(u.balance::numeric, 2) AS balance, COALESCE(l.total, 0) AS ledger_balance
+    FROM users u
+    LEFT JOIN (SELECT account, SUM(amount) AS total FROM ledger_entries GROUP BY account) l
+      ON l.account = 'user:' || u.phone
+    WHERE ROUND(u.balance::numeric, 2) <> COALESCE(l.total, 0)`);
+  const bonuses = await pool.query(`
+    SELECT u.phone, u.bonus_balance, COALESCE(l.total, 0) AS ledger_balance
+    FROM users u
+    LEFT JOIN (SELECT account, SUM(amount) AS total FROM ledger_entries WHERE account LIKE 'bonus:%' GROUP BY account) l
+      ON l.account = 'bonus:' || u.phone
+    WHERE u.bonus_balance <> COALESCE(l.total, 0)`);
+  const house = await pool.query(`
+    SELECT h.account, h.balance, COALESCE(l.total, 0) AS ledger_balance
+    FROM house_accounts h
+    LEFT JOIN (SELECT account, SUM(amount) AS total FROM ledger_entries GROUP BY account) l
+      ON l.account = h.account
+    WHERE h.balance <> COALESCE(l.total, 0)`);
+  const journals = await pool.query(
+    'SELECT journal_id, SUM(amount) AS total FROM ledger_entries GROUP BY journal_id HAVING SUM(amount) <> 0'
+  );
+  const checked = await pool.query('SELECT COUNT(*) FROM users');
+
+  return {
+    balanced: users.rows.length === 0 && bonuses.rows.length === 0 && house.rows.length === 0 && journals.rows.length === 0,
+    accounts_checked: parseInt(checked.rows[0].count),
+    mismatched_users: users.rows,
+    mismatched_bonus_wallets: bonuses.rows,
+    mismatched_house_accounts: house.rows,
+    unbalanced_journals: journals.rows
+  };
+}
+
+/* =========================
+   RECEIPTS
+========================= */
+
+// Deposit receipts live in the receipts table. A receipt only ever moves
+// pending -> success or pending -> failed, and the move to success credits
+// the wallet in the same transaction, so each deposit is credited once.
+
+// One-time import of the receipts.json file used before the table existed
+async function importLegacyReceipts() {
+  const receiptsFile = path.join(__dirname, "receipts.json");
+  if (!fs.existsSync(receiptsFile)) return;
+
+  const receipts = JSON.parse(fs.readFileSync(receiptsFile));
+  for (const r of Object.values(receipts)) {
+    if (!r.reference || !r.phone) continue;
+    await pool.query(
+      `INSERT INTO receipts (reference, phone, amount, status, transaction_code, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $6) ON CONFLICT (reference) DO NOTHING`,
+      [r.reference, r.phone, parseFloat(r.amount) || 0, ['success', 'failed'].includes(r.status) ? r.status : 'pending', r.transaction_code || null, r.timestamp || new Date().toISOString()]
+    );
+  }
+  fs.renameSync(receiptsFile, receiptsFile + ".imported");
+  console.log(`🧾 Imported ${Object.keys(receipts).length} receipts from receipts.json`);
+}
+
+function receiptView(row) {
+  return {
+    reference: row.reference,
+    amount: parseFloat(row.amount),
+    phone: row.phone,
+    status: row.status,
+    transaction_code: row.transaction_code,
+    timestamp: row.updated_at
+  };
+}
+
+function withdrawalView(row) {
+  return {
+    reference: row.reference,
+    amount: parseFloat(row.amount),
+    status: row.status,
+    transaction_code: row.transaction_code,
+    failure_reason: row.failure_reason,
+    timestamp: row.updated_at
+  };
+}
+
+async function findReceipt(reference) {
+  const result = await pool.query('SELECT * FROM receipts WHERE reference = $1', [reference]);
+  return result.rows[0] || null;
+}
+
+// Applies a provider result to a pending receipt. Returns the settled receipt,
+// or null when the receipt is unknown or was already settled.
+async function settleDeposit(reference, { success, transactionCode = null, reason = null }) {
+  return withTransaction(async (client) => {
+    const updated = await client.query(
+      `UPDATE receipts SET status = $1, transaction_code = $2, failure_reason = $3, updated_at = NOW()
+       WHERE reference = $4 AND status = 'pending' RETURNING *`,
+      [success ? 'success' : 'failed', transactionCode, success ? null : reason, reference]
+    );
+    if (updated.rows.length === 0) return null;
 
-function readReceipts() {
-  if (!fs.existsSync(receiptsFile)) return {};
-  return JSON.parse(fs.readFileSync(receiptsFile));
+    const receipt = updated.rows[0];
+    afterCommit(client, () => pushToUser(receipt.phone, 'deposit', receiptView(receipt)));
+    if (!success) return receipt;
+
+    const amount = parseFloat(receipt.amount);
+    await walletPost(client, receipt.phone, amount, 'deposit', {
+      reference,
+      notification: `Your deposit of KSH ${amount} was successful.`
+    });
+
+    await applyReferralDeposit(client, receipt.phone, amount, reference);
+    await applyDepositMatch(client, receipt.phone, amount, reference);
+
+    return receipt;
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+const MAX_REPORT_DAYS = parseInt(process.env.MAX_REPORT_DAYS) || 366;
+
+// Parses a from/to pair of ISO dates into a half-open [from, to) range. A bare
+// date for `to` covers that whole day. Unless required, missing ends are null.
+function parseDateRange(from, to, { required = true, defaultDays = 30 } = {}) {
+  const parse = (value, endOfDay) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return undefined;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+  };
+  let start = parse(from, false);
+  let end = parse(to, true);
+  if (start === undefined || end === undefined) return { error: 'Dates must be ISO 8601, e.g. 2024-01-31' };
+  if (required) {
+    if (!end) end = new Date();
+    if (!start) start = new Date(end.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+    if ((end - start) / (24 * 60 * 60 * 1000) > MAX_REPORT_DAYS) return { error: `Date range can be at most ${MAX_REPORT_DAYS} days` };
+  }
+  if (start && end && start >= end) return { error: '"from" must be before "to"' };
+  return { from: start, to: end };
 }
 
-function writeReceipts(data) {
-  fs.writeFileSync(receiptsFile, JSON.stringify(data, null, 2));
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
 }
 
 function formatPhone(phone) {
+  if (typeof phone !== 'string') return null;
   const digits = phone.replace(/\D/g, "");
   if (digits.length === 9 && digits.startsWith("7")) return "254" + digits;
   if (digits.length === 10 && digits.startsWith("07"))
@@ -50,6 +407,258 @@ function formatPhone(phone) {
   return null;
 }
 
+/* =========================
+   SESSION AUTH
+========================= */
+
+// /login issues a short-lived access token and a long-lived refresh token,
+// both bound to a row in sessions. Player routes take the phone from the
+// access token, never from the request body. Revoking the session (logout,
+// PIN change) invalidates both tokens.
+
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+
+if (!process.env.AUTH_SECRET) {
+  console.warn("⚠️ AUTH_SECRET is not set; sessions will not survive a restart");
+}
+
+function signAccessToken(phone, sessionId) {
+  return jwt.sign({ sub: phone, sid: sessionId, typ: 'access' }, AUTH_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function signRefreshToken(phone, sessionId) {
+  return jwt.sign({ sub: phone, sid: sessionId, typ: 'refresh', jti: crypto.randomUUID() }, AUTH_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+}
+
+async function createSession(phone) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = signRefreshToken(phone, sessionId);
+  await pool.query(
+    "INSERT INTO sessions (id, phone, refresh_hash, expires_at) VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')",
+    [sessionId, phone, sha256(refreshToken), REFRESH_TOKEN_TTL]
+  );
+  return { accessToken: signAccessToken(phone, sessionId), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+async function revokeSessions(phone) {
+  await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE phone = $1 AND revoked_at IS NULL', [phone]);
+  closeUserStreams(phone);
+}
+
+// Resolves an access token to { phone, sessionId, exp }, or { status, error } when
+// it is missing, expired, revoked or belongs to a suspended user.
+async function verifyAccessToken(token) {
+  if (!token) return { status: 401, error: 'Authentication required' };
+
+  let payload;
+  try {
+    payload = jwt.verify(token, AUTH_SECRET);
+  } catch (err) {
+    return { status: 401, error: 'Invalid or expired token' };
+  }
+  if (payload.typ !== 'access') return { status: 401, error: 'Invalid or expired token' };
+
+  try {
+    const session = await pool.query(
+      `SELECT s.phone, u.status FROM sessions s JOIN users u ON u.phone = s.phone
+       WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [payload.sid]
+    );
+    if (session.rows.length === 0) return { status: 401, error: 'Session has been revoked' };
+    if (session.rows[0].status === 'suspended') return { status: 403, error: 'suspended' };
+    return { phone: session.rows[0].phone, sessionId: payload.sid, exp: payload.exp };
+  } catch (err) {
+    return { status: 500, error: 'Server error during authentication' };
+  }
+}
+
+async function requireAuth(req, res, next) {
+  const header = req.headers['authorization'] || '';
+  const auth = await verifyAccessToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+  if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+  req.phone = auth.phone;
+  req.sessionId = auth.sessionId;
+  next();
+}
+
+/* =========================
+   USER EVENT STREAM
+========================= */
+
+// Per-user SSE channel. Balance changes, deposit and withdrawal status and new
+// notifications are pushed here as they are committed, so the app no longer
+// has to poll /refresh-balance, /receipt/:reference or /api/notifications.
+const USER_STREAM_HEARTBEAT_SECONDS = parseInt(process.env.USER_STREAM_HEARTBEAT_SECONDS || '25', 10);
+const userStreams = new Map(); // phone -> Set of { res, sessionId, heartbeat }
+
+// A stream can end (logout, client gone) before its 'close' event fires, and
+// writing after end() throws, so every write goes through here.
+function writeUserStream(stream, msg) {
+  if (!stream.res.writableEnded && !stream.res.destroyed) stream.res.write(msg);
+}
+
+function removeUserStream(phone, stream) {
+  clearInterval(stream.heartbeat);
+  const streams = userStreams.get(phone);
+  if (!streams) return;
+  streams.delete(stream);
+  if (streams.size === 0) userStreams.delete(phone);
+}
+
+function pushToUser(phone, event, data) {
+  const streams = userStreams.get(phone);
+  if (!streams) return;
+  const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const stream of streams) writeUserStream(stream, msg);
+}
+
+// Ends open streams for a user, or only those of one session on logout, and
+// signs the matching WebSockets out.
+function closeUserStreams(phone, sessionId = null) {
+  closeUserSockets(phone, sessionId);
+  const streams = userStreams.get(phone);
+  if (!streams) return;
+  for (const stream of [...streams]) {
+    if (sessionId && stream.sessionId !== sessionId) continue;
+    removeUserStream(phone, stream);
+    writeUserStream(stream, 'event: logout\ndata: {}\n\n');
+    if (!stream.res.writableEnded) stream.res.end();
+  }
+}
+
+async function notify(db, phone, message) {
+  const inserted = await db.query(
+    'INSERT INTO notifications (phone, message) VALUES ($1, $2) RETURNING *', [phone, message]
+  );
+  afterCommit(db, () => pushToUser(phone, 'notification', inserted.rows[0]));
+  return inserted.rows[0];
+}
+
+// EventSource and download links cannot set headers, so the event streams and
+// statement downloads also accept ?access_token=.
+function tokenFromQuery(req, res, next) {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = 'Bearer ' + req.query.access_token;
+  }
+  next();
+}
+
+app.get('/api/user-stream', tokenFromQuery, requireAuth, async (req, res) => {
+  let balance = null;
+  let unread = 0;
+  try {
+    const user = await pool.query('SELECT balance FROM users WHERE phone = $1', [req.phone]);
+    const notifs = await pool.query('SELECT COUNT(*) FROM notifications WHERE phone = $1 AND is_read = false', [req.phone]);
+    balance = user.rows.length > 0 ? parseFloat(user.rows[0].balance) : null;
+    unread = parseInt(notifs.rows[0].count, 10);
+  } catch (err) {
+    return res.status(500).json({ error: 'Server error opening stream' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  res.write(`event: balance\ndata: ${JSON.stringify({ balance, unread_notifications: unread })}\n\n`);
+
+  const stream = { res, sessionId: req.sessionId, heartbeat: null };
+  if (!userStreams.has(req.phone)) userStreams.set(req.phone, new Set());
+  userStreams.get(req.phone).add(stream);
+
+  stream.heartbeat = setInterval(() => writeUserStream(stream, ': ping\n\n'), USER_STREAM_HEARTBEAT_SECONDS * 1000);
+  res.on('error', () => removeUserStream(req.phone, stream));
+  res.on('close', () => removeUserStream(req.phone, stream));
+});
+
+/* =========================
+   PIN HASHING & LOCKOUT
+========================= */
+
+// PINs (and admin passwords) are stored as "scrypt$<salt>$<hash>". Rows still
+// holding a plain-text PIN are rehashed the first time their owner enters it
+// correctly.
+
+const PIN_MAX_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS) || 5;
+const PIN_LOCK_MINUTES = parseInt(process.env.PIN_LOCK_MINUTES) || 15;
+
+// Checked before hashing: hashSecret() would happily hash String(undefined)
+function isValidPin(pin) {
+  return typeof pin === 'string' && pin.length === 6;
+}
+
+function scrypt(secret, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(secret, salt, 64, { N: 16384, r: 8, p: 1 }, (err, key) => err ? reject(err) : resolve(key));
+  });
+}
+
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(String(secret), salt);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+function isHashedSecret(stored) {
+  return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+async function verifySecret(secret, stored) {
+  if (secret === undefined || secret === null || !stored) return false;
+  const candidate = Buffer.from(isHashedSecret(stored) ? (await scrypt(String(secret), stored.split('$')[1])).toString('hex') : String(secret));
+  const expected = Buffer.from(isHashedSecret(stored) ? stored.split('$')[2] : String(stored));
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Accounts whose secret is guarded by the lockout below
+const LOCKOUT_ACCOUNTS = {
+  player: { table: 'users', key: 'phone', secret: 'pin', attempts: 'failed_pin_attempts', filter: '' },
+  admin: { table: 'admin_users', key: 'username', secret: 'password_hash', attempts: 'failed_login_attempts', filter: 'AND active = true' }
+};
+
+// Checks a secret against an account row. Failures count towards a temporary
+// lockout and a correct secret resets the counter. Returns { row } on
+// success, or { lockedUntil } / {} on failure.
+async function checkSecret(kind, key, secret) {
+  const account = LOCKOUT_ACCOUNTS[kind];
+  const result = await pool.query(`SELECT * FROM ${account.table} WHERE ${account.key} = $1 ${account.filter}`, [key]);
+  if (result.rows.length === 0) return {};
+
+  const row = result.rows[0];
+  if (row.locked_until && new Date(row.locked_until) > new Date()) return { lockedUntil: row.locked_until };
+
+  if (!(await verifySecret(secret, row[account.secret]))) {
+    const failed = await pool.query(
+      `UPDATE ${account.table} SET
+         locked_until = CASE WHEN ${account.attempts} + 1 >= $2 THEN NOW() + $3 * INTERVAL '1 minute' ELSE NULL END,
+         ${account.attempts} = CASE WHEN ${account.attempts} + 1 >= $2 THEN 0 ELSE ${account.attempts} + 1 END
+       WHERE ${account.key} = $1 RETURNING locked_until`,
+      [key, PIN_MAX_ATTEMPTS, PIN_LOCK_MINUTES]
+    );
+    return { lockedUntil: failed.rows[0].locked_until || undefined };
+  }
+
+  if (row[account.attempts] > 0 || row.locked_until) {
+    await pool.query(`UPDATE ${account.table} SET ${account.attempts} = 0, locked_until = NULL WHERE ${account.key} = $1`, [key]);
+  }
+  if (!isHashedSecret(row[account.secret])) {
+    await pool.query(`UPDATE ${account.table} SET ${account.secret} = $1 WHERE ${account.key} = $2`, [await hashSecret(secret), key]);
+  }
+  return { row };
+}
+
+// Checks a player's PIN. Returns { user } on success, or { lockedUntil } / {}.
+async function checkPin(phone, pin) {
+  const { row, lockedUntil } = await checkSecret('player', phone, pin);
+  return { user: row, lockedUntil };
+}
+
+function lockedResponse(res, lockedUntil) {
+  return res.status(423).json({ error: 'Too many failed PIN attempts. Please try again later.', locked_until: lockedUntil });
+}
+
 /* =========================
    AUTH ROUTES
 ========================= */
@@ -65,43 +674,34 @@ app.post('/signup', async (req, res) => {
   if (!formattedPhone) {
     return res.status(400).json({ error: "Invalid phone format" });
   }
+  if (!isValidPin(pin)) {
+    return res.status(400).json({ error: 'PIN must be 6 characters' });
+  }
+  // Lets the referral checks spot several accounts opened from one handset
+  const deviceId = req.body.deviceId || req.headers['x-device-id'] || null;
   try {
-    const checkUser = await pool.query(
-      'SELECT * FROM users WHERE phone = $1 OR username = $2',
-      [formattedPhone, username]
-    );
-
-    if (checkUser.rows.length > 0) {
-      return res.status(400).json({ error: 'Username or Phone number already in use' });
-    }
-
-    let actualReferralCode = null;
+    let referral = null;
     if (referralCode) {
-      const checkRef = await pool.query('SELECT username FROM users WHERE username = $1', [referralCode]);
-      if (checkRef.rows.length === 0) {
+      referral = await resolveReferralCode(pool, referralCode);
+      if (!referral) {
         return res.status(400).json({ error: 'Invalid referral code' });
       }
-      actualReferralCode = referralCode;
     }
 
-    await pool.query(
-      'INSERT INTO users (username, phone, pin, balance, referral_code) VALUES ($1, $2, $3, 0, $4)',
-      [username, formattedPhone, pin, actualReferralCode]
-    );
-
-    if (actualReferralCode) {
-      await pool.query('UPDATE users SET balance = balance + 20 WHERE username = $1', [actualReferralCode]);
-      const referrerUser = await pool.query('SELECT phone FROM users WHERE username = $1', [actualReferralCode]);
-      if (referrerUser.rows.length > 0) {
-        const referrerPhone = referrerUser.rows[0].phone;
-        await pool.query("INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, $3, $4)", [referrerPhone, 20, 'referral_bonus', 'success']);
-        await pool.query("INSERT INTO notifications (phone, message) VALUES ($1, $2)", [referrerPhone, `You received KSH 20 for referring ${username}.`]);
-      }
-    }
+    const pinHash = await hashSecret(pin);
+    await withTransaction(async (client) => {
+      await client.query(
+        'INSERT INTO users (username, phone, pin, balance, referral_code, signup_ip, signup_device_id) VALUES ($1, $2, $3, 0, $4, $5, $6)',
+        [username, formattedPhone, pinHash, referral ? referral.code : null, req.ip, deviceId]
+      );
+      if (referral) await createReferral(client, formattedPhone, referral, deviceId);
+    });
 
     res.json({ success: true, message: 'Signup successful' });
 
   } catch (err) {
+    // users_username_key / users_phone_key
+    if (err.code === '23505') return res.status(400).json({ error: 'Username or Phone number already in use' });
     res.status(500).json({ error: 'Server error during signup' });
   }
 });
@@ -110,16 +710,19 @@ app.post('/login', async (req, res) => {
   const { phone, pin } = req.body;
    const formattedPhone = formatPhone(phone);
   try {
-    const user = await pool.query(
-      'SELECT username, phone, balance, status FROM users WHERE phone = $1 AND pin = $2',
-      [formattedPhone, pin]
-    );
+    const { user, lockedUntil } = await checkPin(formattedPhone, pin);
+    if (lockedUntil) return lockedResponse(res, lockedUntil);
 
-    if (user.rows.length > 0) {
-      if (user.rows[0].status === 'suspended') {
+    if (user) {
+      if (user.status === 'suspended') {
         return res.status(403).json({ error: 'Your account is suspended. Please contact support.' });
       }
-      res.json({ success: true, user: { username: user.rows[0].username, phone: user.rows[0].phone, balance: user.rows[0].balance } });
+      const restriction = await playRestriction(user.phone);
+      if (restriction && restriction.error === 'self_excluded') {
+        return res.status(403).json({ error: restriction.message, code: 'self_excluded', until: restriction.until });
+      }
+      const tokens = await createSession(user.phone);
+      res.json({ success: true, user: { username: user.username, phone: user.phone, balance: user.balance }, ...tokens });
     } else {
       res.status(401).json({ error: 'Invalid phone or PIN' });
     }
@@ -129,22 +732,72 @@ app.post('/login', async (req, res) => {
   }
 });
 
-app.post('/change-pin', async (req, res) => {
-  const { phone, oldPin, newPin } = req.body;
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
-  
-  if (!newPin || newPin.length !== 6) return res.status(400).json({ error: 'New PIN must be 6 characters' });
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken is required' });
 
+  let payload;
   try {
-    const user = await pool.query(
-      'SELECT * FROM users WHERE phone = $1 AND pin = $2',
-      [formattedPhone, oldPin]
+    payload = jwt.verify(refreshToken, AUTH_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  if (payload.typ !== 'refresh') return res.status(401).json({ error: 'Invalid or expired token' });
+
+  try {
+    // A refresh token is single-use, so the rotation is one conditional UPDATE:
+    // of two requests with the same token only one can match. No match means
+    // the token was already used (it leaked) or the session is gone, and the
+    // session is revoked either way.
+    const nextRefreshToken = signRefreshToken(payload.sub, payload.sid);
+    const session = await pool.query(
+      `UPDATE sessions SET refresh_hash = $1, expires_at = NOW() + $2 * INTERVAL '1 second', last_used_at = NOW()
+       WHERE id = $3 AND refresh_hash = $4 AND revoked_at IS NULL AND expires_at > NOW()
+       RETURNING phone`,
+      [sha256(nextRefreshToken), REFRESH_TOKEN_TTL, payload.sid, sha256(refreshToken)]
     );
+    if (session.rows.length === 0) {
+      const revoked = await pool.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING phone', [payload.sid]
+      );
+      if (revoked.rows.length > 0) closeUserStreams(revoked.rows[0].phone, payload.sid);
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
 
-    if (user.rows.length > 0) {
-      await pool.query('UPDATE users SET pin = $1 WHERE phone = $2', [newPin, formattedPhone]);
-      res.json({ success: true, message: 'PIN changed successfully' });
+    const phone = session.rows[0].phone;
+    res.json({ success: true, accessToken: signAccessToken(phone, payload.sid), refreshToken: nextRefreshToken, expiresIn: ACCESS_TOKEN_TTL });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error refreshing session' });
+  }
+});
+
+app.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE id = $1', [req.sessionId]);
+    closeUserStreams(req.phone, req.sessionId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error during logout' });
+  }
+});
+
+app.post('/change-pin', requireAuth, async (req, res) => {
+  const { oldPin, newPin } = req.body;
+  const formattedPhone = req.phone;
+  
+  if (!isValidPin(newPin)) return res.status(400).json({ error: 'New PIN must be 6 characters' });
+
+  try {
+    const { user, lockedUntil } = await checkPin(formattedPhone, oldPin);
+    if (lockedUntil) return lockedResponse(res, lockedUntil);
+
+    if (user) {
+      await pool.query('UPDATE users SET pin = $1 WHERE phone = $2', [await hashSecret(newPin), formattedPhone]);
+
+      // Sign out every device, then give this one a fresh session
+      await revokeSessions(formattedPhone);
+      const tokens = await createSession(formattedPhone);
+      res.json({ success: true, message: 'PIN changed successfully', ...tokens });
     } else {
       res.status(401).json({ error: 'Invalid old PIN' });
     }
@@ -153,50 +806,103 @@ app.post('/change-pin', async (req, res) => {
   }
 });
 
-app.post('/transactions-history', async (req, res) => {
-  const { phone } = req.body;
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
+const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'withdrawal_refund', 'bet', 'win', 'bet_refund', 'referral_bonus',
+  'referral_commission', 'admin_adjustment', 'bonus_grant', 'bonus_conversion', 'bonus_forfeit', 'account_closure'];
+const BET_STATUSES = ['placed', 'cashed_out', 'lost', 'cancelled', 'void'];
+
+// Player history is paged newest first. The cursor is the id of the last row
+// of the previous page; next_cursor is null on the last page. Filters: from,
+// to (ISO dates, to inclusive) and a list or comma-separated string of types.
+function historyQuery(phone, body, { field, allowed }) {
+  const where = ['phone = $1'];
+  const params = [phone];
+  const filter = (clause, value) => {
+    params.push(value);
+    where.push(clause.replace('?', '$' + params.length));
+  };
+
+  const range = parseDateRange(body.from, body.to, { required: false });
+  if (range.error) return { error: range.error };
+  if (range.from) filter('created_at >= ?', range.from);
+  if (range.to) filter('created_at < ?', range.to);
+
+  const values = body[field];
+  if (values !== undefined && values !== null && values !== '') {
+    const list = (Array.isArray(values) ? values : String(values).split(',')).map(v => String(v).trim());
+    const unknown = list.find(v => !allowed.includes(v));
+    if (unknown) return { error: `Unknown ${field} "${unknown}"` };
+    filter(`${field} = ANY(?)`, list);
+  }
+
+  if (body.cursor !== undefined && body.cursor !== null && body.cursor !== '') {
+    const cursor = parseInt(body.cursor);
+    if (!(cursor > 0)) return { error: 'Invalid cursor' };
+    filter('id < ?', cursor);
+  }
+
+  const limit = Math.min(200, Math.max(1, parseInt(body.limit) || 50));
+  params.push(limit + 1);
+  return { whereSql: 'WHERE ' + where.join(' AND '), params, limitSql: `LIMIT $${params.length}`, limit };
+}
+
+// Fetched one row over the limit to know whether another page exists
+function historyPage(rows, limit) {
+  const page = rows.slice(0, limit);
+  return { rows: page, next_cursor: rows.length > limit ? page[page.length - 1].id : null };
+}
+
+// Deposits and withdrawals unless other types are asked for, as before
+app.post('/transactions-history', requireAuth, async (req, res) => {
+  const formattedPhone = req.phone;
+  const body = { type: ['deposit', 'withdrawal'], ...req.body };
+  const query = historyQuery(formattedPhone, body, { field: 'type', allowed: TRANSACTION_TYPES });
+  if (query.error) return res.status(400).json({ error: query.error });
 
   try {
     const tx = await pool.query(
-      "SELECT amount, type, status, created_at FROM transactions WHERE phone = $1 AND type IN ('withdrawal', 'deposit') ORDER BY created_at DESC",
-      [formattedPhone]
+      `SELECT id, amount, type, wallet, reference, status, created_at FROM transactions ${query.whereSql} ORDER BY id DESC ${query.limitSql}`,
+      query.params
     );
-    res.json({ success: true, transactions: tx.rows });
+    const { rows, next_cursor } = historyPage(tx.rows, query.limit);
+    res.json({ success: true, transactions: rows, next_cursor });
   } catch (err) {
     res.status(500).json({ error: 'Server error fetching transactions' });
   }
 });
 
-app.post('/delete-account', async (req, res) => {
-  const { phone, pin } = req.body;
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
+app.post('/delete-account', requireAuth, async (req, res) => {
+  const { pin } = req.body;
+  const formattedPhone = req.phone;
 
   try {
-    const user = await pool.query(
-      'SELECT * FROM users WHERE phone = $1 AND pin = $2',
-      [formattedPhone, pin]
-    );
-
-    if (user.rows.length > 0) {
-      await pool.query('DELETE FROM users WHERE phone = $1', [formattedPhone]);
+    const { user, lockedUntil } = await checkPin(formattedPhone, pin);
+    if (lockedUntil) return lockedResponse(res, lockedUntil);
+
+    if (user) {
+      // Cash is the player's to withdraw first; any bonus left is closed out
+      await withTransaction(async (client) => {
+        const current = await client.query('SELECT balance FROM users WHERE phone = $1 FOR UPDATE', [formattedPhone]);
+        if (current.rows.length > 0 && parseFloat(current.rows[0].balance) > 0) {
+          throw new WalletError('Withdraw your balance before deleting your account');
+        }
+        await deleteUser(client, formattedPhone);
+      });
+      await revokeSessions(formattedPhone);
       res.json({ success: true, message: 'Account deleted successfully' });
     } else {
       res.status(401).json({ error: 'Invalid PIN' });
     }
   } catch (err) {
+    if (err instanceof WalletError) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: 'Server error during account deletion' });
   }
 });
 
-app.post('/refresh-balance', async (req, res) => {
-  const { phone } = req.body;
-  const formattedPhone = formatPhone(phone);
+app.post('/refresh-balance', requireAuth, async (req, res) => {
+  const formattedPhone = req.phone;
   try {
     const user = await pool.query(
-      'SELECT balance, status FROM users WHERE phone = $1',
+      'SELECT balance, bonus_balance, status FROM users WHERE phone = $1',
       [formattedPhone]
     );
 
@@ -204,7 +910,7 @@ app.post('/refresh-balance', async (req, res) => {
       if (user.rows[0].status === 'suspended') {
         return res.status(403).json({ error: 'suspended' });
       }
-      res.json({ success: true, balance: user.rows[0].balance });
+      res.json({ success: true, balance: user.rows[0].balance, bonus_balance: user.rows[0].bonus_balance });
     } else {
       res.status(404).json({ error: 'User not found' });
     }
@@ -217,191 +923,555 @@ app.post('/refresh-balance', async (req, res) => {
 /* =========================
    BETTING & CASH OUT
 ========================= */
-app.post('/api/my-bets', async (req, res) => {
-  const { phone } = req.body;
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
+app.post('/api/my-bets', requireAuth, async (req, res) => {
+  const formattedPhone = req.phone;
+  const query = historyQuery(formattedPhone, req.body, { field: 'status', allowed: BET_STATUSES });
+  if (query.error) return res.status(400).json({ error: query.error });
+
   try {
     const bets = await pool.query(
-      "SELECT amount, multiplier, status, created_at FROM bets WHERE phone = $1 ORDER BY created_at DESC",
-      [formattedPhone]
+      `SELECT id, round_id, amount, multiplier, status, created_at, cash_stake, bonus_stake, free_bet_id, cash_win, bonus_win
+       FROM bets ${query.whereSql} ORDER BY id DESC ${query.limitSql}`,
+      query.params
     );
-    res.json({ success: true, bets: bets.rows });
+    const { rows, next_cursor } = historyPage(bets.rows, query.limit);
+    res.json({ success: true, bets: rows, next_cursor });
   } catch (err) {
     res.status(500).json({ error: 'Server error fetching bets' });
   }
 });
 
-app.post('/bet', async (req, res) => {
-  const { phone, amount, autoCashout } = req.body;
+const DEFAULT_MAX_BETS_PER_ROUND = parseInt(process.env.MAX_BETS_PER_ROUND) || 2;
 
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone)
-    return res.status(400).json({ error: 'Invalid phone format' });
+async function maxBetsPerRound() {
+  const values = await readSettings(['max_bets_per_round']);
+  return parseInt(values.max_bets_per_round) || DEFAULT_MAX_BETS_PER_ROUND;
+}
 
+// Stake and exposure limits. Each can be overridden from the admin panel; the
+// engine snapshots them at the start of every round (roundLimits).
+const STAKE_LIMIT_DEFAULTS = {
+  min_stake: parseFloat(process.env.MIN_STAKE) || 10,
+  max_stake: parseFloat(process.env.MAX_STAKE) || 20000,
+  max_auto_cashout: parseFloat(process.env.MAX_AUTO_CASHOUT) || 1000,
+  max_win_per_bet: parseFloat(process.env.MAX_WIN_PER_BET) || 1000000,
+  max_round_liability: parseFloat(process.env.MAX_ROUND_LIABILITY) || 5000000
+};
+
+async function stakeLimits() {
+  const values = await readSettings(Object.keys(STAKE_LIMIT_DEFAULTS));
+  const limits = {};
+  for (const key of Object.keys(STAKE_LIMIT_DEFAULTS)) {
+    limits[key] = parseFloat(values[key]) || STAKE_LIMIT_DEFAULTS[key];
+  }
+  return limits;
+}
+
+// Shown to players before they stake, so a capped win or a round settled
+// early at the liability cap does not come as a surprise.
+app.get('/api/bet-limits', async (req, res) => {
   try {
-    const user = await pool.query(
-      'SELECT balance FROM users WHERE phone = $1',
-      [formattedPhone]
-    );
+    const limits = await stakeLimits();
+    res.json({
+      success: true,
+      limits,
+      rules: [
+        `Stakes must be between KSH ${limits.min_stake} and KSH ${limits.max_stake}.`,
+        `Auto cashout can be set up to ${limits.max_auto_cashout}x.`,
+        `The most a single bet can win is KSH ${limits.max_win_per_bet}; a bet that reaches it is cashed out automatically.`,
+        `If the potential payout of all bets in a round reaches KSH ${limits.max_round_liability}, every open bet is cashed out at the current multiplier.`
+      ]
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error loading bet limits' });
+  }
+});
 
-    if (user.rows.length === 0)
-      return res.status(404).json({ error: 'User not found' });
+// Returns the parsed target, null for "no auto-cashout", or NaN if invalid
+function parseAutoCashout(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const target = parseFloat(value);
+  return target >= 1.01 ? toCents(target) : NaN;
+}
+
+// Errors raised by the bet actions below; the message is safe to show players.
+class BetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
 
-    let currentBalance = parseFloat(user.rows[0].balance);
-    let betAmount = parseFloat(amount);
+// Bet actions shared by the HTTP routes and the WebSocket transport. Each one
+// resolves to the response body or throws a BetError/WalletError.
+async function placeBet(phone, { amount, autoCashout, panel, freeBetId }) {
+  const target = parseAutoCashout(autoCashout);
+  if (Number.isNaN(target)) throw new BetError('Auto cashout must be at least 1.01x');
 
-    if (currentBalance < betAmount)
-      return res.status(400).json({ error: 'Insufficient balance' });
+  const queued = () => pendingBets.filter(b => b.phone === phone);
 
-    const insertResult = await pool.query(
-      'INSERT INTO bets (phone, amount, status) VALUES ($1, $2, $3) RETURNING id',
-      [formattedPhone, betAmount, 'placed']
+  // A free bet stakes the token's amount and is not charged to either wallet
+  let freeBet = null;
+  if (freeBetId !== undefined && freeBetId !== null && freeBetId !== '') {
+    const token = await pool.query(
+      "SELECT id, amount FROM player_bonuses WHERE id = $1 AND phone = $2 AND kind = 'free_bet' AND status = 'available' AND expires_at > NOW()",
+      [parseInt(freeBetId) || 0, phone]
     );
+    if (token.rows.length === 0) throw new BetError('Free bet not found or no longer available');
+    if (queued().some(b => b.freeBetId === token.rows[0].id)) throw new BetError('This free bet is already queued');
+    freeBet = { id: token.rows[0].id, amount: parseFloat(token.rows[0].amount) };
+  }
 
-    const betId = insertResult.rows[0].id;
-    const betObj = { id: betId, phone: formattedPhone, amount: betAmount, autoCashout: autoCashout ? parseFloat(autoCashout) : null, cashedOut: false };
-    
-    // All new bets go to pendingBets and will be deducted & activated when the next round starts
-    pendingBets.push(betObj);
+  const stake = await stakeLimits();
+  const betAmount = freeBet ? freeBet.amount : toCents(amount);
+  if (!freeBet && !(betAmount >= stake.min_stake)) throw new BetError(`Minimum stake is KSH ${stake.min_stake}`);
+  if (betAmount > stake.max_stake) throw new BetError(`Maximum stake is KSH ${stake.max_stake}`);
+  if (target !== null && target > stake.max_auto_cashout)
+    throw new BetError(`Auto cashout can be at most ${stake.max_auto_cashout}x`);
 
-    res.json({ success: true, balance: currentBalance, betId: betId });
+  const panelId = panel !== undefined && panel !== null ? parseInt(panel) : null;
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error placing bet' });
-  }
-});
+  const restriction = await playRestriction(phone);
+  if (restriction) throw new BetError(restriction.message, 403);
 
-app.post('/cancel_bet', async (req, res) => {
-  const { phone, betId } = req.body;
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
+  const limit = await maxBetsPerRound();
+  if (queued().length >= limit) throw new BetError(`You can place at most ${limit} bets per round`);
+  if (panelId !== null && queued().some(b => b.panel === panelId))
+    throw new BetError('This panel already has a bet for the next round');
 
-  try {
-    if (typeof activeBets !== 'undefined' && activeBets.find(b => b.id === betId)) {
-       return res.status(400).json({ error: 'Bet already locked for the round' });
-    }
+  const user = await pool.query('SELECT balance, bonus_balance, username FROM users WHERE phone = $1', [phone]);
+  if (user.rows.length === 0) throw new BetError('User not found', 404);
 
-    const betResult = await pool.query("SELECT * FROM bets WHERE id = $1 AND phone = $2 AND status = 'placed'", [betId, formattedPhone]);
-    if (betResult.rows.length === 0) return res.status(400).json({ error: 'Bet not found or already processed' });
-    
-    await pool.query("UPDATE bets SET status = 'cancelled' WHERE id = $1", [betId]);
-    
-    // Remove from in-memory arrays
-    if (typeof activeBets !== 'undefined') activeBets = activeBets.filter(b => b.id !== betId);
-    if (typeof pendingBets !== 'undefined') pendingBets = pendingBets.filter(b => b.id !== betId);
+  // Stakes come out of cash first and then the bonus balance
+  const currentBalance = parseFloat(user.rows[0].balance);
+  const bonusBalance = parseFloat(user.rows[0].bonus_balance);
+  if (!freeBet && currentBalance + bonusBalance < betAmount) throw new BetError('Insufficient balance');
 
-    const user = await pool.query('SELECT balance FROM users WHERE phone = $1', [formattedPhone]);
-    res.json({ success: true, balance: parseFloat(user.rows[0].balance) });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error cancelling bet' });
+  // Queued stakes have not been debited yet, so count them against the loss limit
+  if (!freeBet) {
+    const queuedStake = queued().filter(b => !b.freeBetId).reduce((sum, b) => sum + b.amount, 0);
+    const overLimit = await checkLimits(phone, 'loss', queuedStake + betAmount);
+    if (overLimit) throw new BetError(overLimit, 403);
   }
-});
 
-app.post('/cashout', async (req, res) => {
-  const { phone, amount, multiplier, betId } = req.body;
+  const insertResult = await pool.query(
+    'INSERT INTO bets (phone, amount, status, panel, auto_cashout, free_bet_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+    [phone, betAmount, 'placed', panelId, target, freeBet ? freeBet.id : null]
+  );
+  const betId = insertResult.rows[0].id;
 
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone)
-    return res.status(400).json({ error: 'Invalid phone format' });
+  // Re-check now that the insert has landed, in case a parallel request got in first
+  if (queued().length >= limit || (panelId !== null && queued().some(b => b.panel === panelId))) {
+    await pool.query("UPDATE bets SET status = 'cancelled' WHERE id = $1", [betId]);
+    throw new BetError(`You can place at most ${limit} bets per round`);
+  }
 
-  try {
-    let winAmount = parseFloat(amount);
-    let mult = parseFloat(multiplier);
+  // All new bets go to pendingBets and will be deducted & activated when the next round starts
+  pendingBets.push({
+    id: betId, phone, username: user.rows[0].username, amount: betAmount, autoCashout: target, panel: panelId,
+    freeBetId: freeBet ? freeBet.id : null, cashedOut: false
+  });
 
-    // If betId is provided, update the specific bet, otherwise update the latest placed bet for safety
-    if (betId) {
-      if (typeof activeBets !== 'undefined') {
-        const bIndex = activeBets.findIndex(b => b.id === betId);
-        if (bIndex >= 0) {
-           if (activeBets[bIndex].cashedOut) return res.status(400).json({ error: 'Bet already cashed out' });
-           activeBets[bIndex].cashedOut = true;
-        }
-      }
-      const betCheck = await pool.query("SELECT * FROM bets WHERE id = $1 AND phone = $2 AND status = 'placed'", [betId, formattedPhone]);
-      if (betCheck.rows.length === 0) return res.status(400).json({ error: 'Bet already cashed out or invalid' });
-      
-      await pool.query("UPDATE bets SET multiplier = $1, status = 'cashed_out' WHERE id = $2", [mult, betId]);
-    } else {
-      await pool.query(
-        "UPDATE bets SET multiplier = $1, status = 'cashed_out' WHERE phone = $2 AND status = 'placed' AND id = (SELECT id FROM bets WHERE phone = $2 AND status = 'placed' ORDER BY id DESC LIMIT 1)",
-        [mult, formattedPhone]
-      );
-    }
+  return {
+    balance: currentBalance, bonusBalance, betId, panel: panelId, autoCashout: target,
+    freeBetId: freeBet ? freeBet.id : null, maxWin: stake.max_win_per_bet
+  };
+}
 
-    await pool.query(
-      'UPDATE users SET balance = balance + $1 WHERE phone = $2',
-      [winAmount, formattedPhone]
-    );
+async function cancelBet(phone, betId) {
+  const id = parseInt(betId);
+  if (!id) throw new BetError('betId is required');
+  if (activeBets.find(b => b.id === id)) throw new BetError('Bet already locked for the round');
+
+  // round_id is set in the same transaction that takes the stake, so a bet
+  // being activated right now either stays queued or cannot be cancelled
+  const cancelled = await pool.query(
+    "UPDATE bets SET status = 'cancelled' WHERE id = $1 AND phone = $2 AND status = 'placed' AND round_id IS NULL", [id, phone]
+  );
+  if (cancelled.rowCount === 0) throw new BetError('Bet not found or already processed');
+  pendingBets = pendingBets.filter(b => b.id !== id);
+
+  const user = await pool.query('SELECT balance FROM users WHERE phone = $1', [phone]);
+  return { balance: parseFloat(user.rows[0].balance) };
+}
 
-    await pool.query(
-      'INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, $3, $4)',
-      [formattedPhone, winAmount, 'win', 'success']
-    );
+async function cashOutBet(phone, betId) {
+  if (!betId) throw new BetError('betId is required');
 
-    const user = await pool.query(
-      'SELECT balance FROM users WHERE phone = $1',
-      [formattedPhone]
+  // Settle at the engine's multiplier as of this request, never a client value
+  const mult = Math.floor(currentMultiplier * 100) / 100;
+
+  if (gameStatus !== 'RUNNING')
+    throw new BetError(gameStatus === 'CRASHED' ? 'Round already crashed' : 'Round has not started');
+
+  const bet = activeBets.find(b => String(b.id) === String(betId) && b.phone === phone);
+  if (!bet) throw new BetError('Bet is not active in this round');
+  if (bet.cashedOut) throw new BetError('Bet already cashed out');
+
+  const winAmount = Math.min(toCents(bet.amount * mult), roundLimits.max_win_per_bet);
+  bet.cashedOut = true;
+  bet.winAmount = winAmount;
+  bet.settlement = withTransaction(async (client) => {
+    const updated = await client.query(
+      "UPDATE bets SET multiplier = $1, status = 'cashed_out' WHERE id = $2 AND status = 'placed'",
+      [mult, bet.id]
     );
+    if (updated.rowCount === 0) throw new WalletError('Bet already cashed out or invalid');
+    return creditWin(client, bet, winAmount);
+  });
+
+  try {
+    const { balance, bonusBalance } = await bet.settlement;
+    bet.multiplier = mult;
+    broadcast({ type: 'cashout', roundId: bet.roundId, bet: betView(bet) });
+    return { balance, bonusBalance, betId: bet.id, multiplier: mult, payout: winAmount };
+  } catch (err) {
+    // cashedOut stays set so a retry cannot race this write; if the bet is
+    // still 'placed' when the round closes, closeRound() settles it as lost
+    bet.winAmount = 0;
+    throw err;
+  }
+}
 
-    res.json({ success: true, balance: parseFloat(user.rows[0].balance) });
+function sendBetError(res, err, fallback) {
+  if (err instanceof BetError || err instanceof WalletError) return res.status(err.status).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: fallback });
+}
 
+app.post('/bet', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, ...await placeBet(req.phone, req.body) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error cashing out' });
+    sendBetError(res, err, 'Server error placing bet');
   }
 });
 
-app.post('/withdraw', async (req, res) => {
-  const { phone, amount } = req.body;
-  const formattedPhone = formatPhone(phone);
-  
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
-  if (!amount || amount < 100) return res.status(400).json({ error: 'Minimum withdrawal is KSH 100' });
+// Changes or removes (autoCashout: null) the target of a bet that is still
+// queued for the next round or riding the current one.
+async function setAutoCashout(phone, betId, autoCashout) {
+  const target = parseAutoCashout(autoCashout);
+  if (Number.isNaN(target)) throw new BetError('Auto cashout must be at least 1.01x');
+  const { max_auto_cashout } = await stakeLimits();
+  if (target !== null && target > max_auto_cashout) throw new BetError(`Auto cashout can be at most ${max_auto_cashout}x`);
+
+  const owned = b => String(b.id) === String(betId) && b.phone === phone;
+  const bet = pendingBets.find(owned) || activeBets.find(owned);
+  if (!bet) throw new BetError('Bet is not pending or running');
+  if (bet.cashedOut) throw new BetError('Bet already cashed out');
+
+  bet.autoCashout = target;
+  await pool.query('UPDATE bets SET auto_cashout = $1 WHERE id = $2', [target, bet.id]);
+  return { betId: bet.id, autoCashout: target };
+}
 
+app.post('/bet/auto-cashout', requireAuth, async (req, res) => {
   try {
-    const user = await pool.query('SELECT balance FROM users WHERE phone = $1', [formattedPhone]);
-    if (user.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true, ...await setAutoCashout(req.phone, req.body.betId, req.body.autoCashout) });
+  } catch (err) {
+    sendBetError(res, err, 'Server error updating auto cashout');
+  }
+});
+
+app.post('/cancel_bet', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, ...await cancelBet(req.phone, req.body.betId) });
+  } catch (err) {
+    sendBetError(res, err, 'Server error cancelling bet');
+  }
+});
 
-    let currentBalance = parseFloat(user.rows[0].balance);
-    let withdrawAmount = parseFloat(amount);
+app.post('/cashout', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, ...await cashOutBet(req.phone, req.body.betId) });
+  } catch (err) {
+    sendBetError(res, err, 'Server error cashing out');
+  }
+});
 
-    if (currentBalance < withdrawAmount) return res.status(400).json({ error: 'Insufficient balance' });
+app.post('/withdraw', requireAuth, async (req, res) => {
+  const { amount } = req.body;
+  const formattedPhone = req.phone;
+  
+  if (!amount || amount < 100) return res.status(400).json({ error: 'Minimum withdrawal is KSH 100' });
 
-    await pool.query('UPDATE users SET balance = balance - $1 WHERE phone = $2', [withdrawAmount, formattedPhone]);
-    
-    // Save withdrawal in transactions table
-    await pool.query(
-      "INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, 'withdrawal', 'success')",
-      [formattedPhone, withdrawAmount]
-    );
+  try {
+    const withdrawAmount = toCents(amount);
+    const reference = "WD-" + Date.now() + "-" + crypto.randomBytes(3).toString('hex');
+
+    // Hold the funds first; they are paid out or refunded once the provider answers
+    const { balance, withdrawal } = await withTransaction(async (client) => {
+      const posted = await walletPost(client, formattedPhone, -withdrawAmount, 'withdrawal', { reference, status: 'pending' });
+      const inserted = await client.query(
+        'INSERT INTO withdrawals (phone, amount, reference, transaction_id, status) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [formattedPhone, withdrawAmount, reference, posted.transactionId, withdrawAmount <= WITHDRAWAL_APPROVAL_LIMIT ? 'sending' : 'pending']
+      );
+      return { balance: posted.balance, withdrawal: inserted.rows[0] };
+    });
+    pushToUser(formattedPhone, 'withdrawal', withdrawalView(withdrawal));
 
-    // Send notification
-    await pool.query(
-      "INSERT INTO notifications (phone, message) VALUES ($1, $2)",
-      [formattedPhone, `Withdrawal of KSH ${withdrawAmount.toFixed(2)} was successful.`]
-    );
+    let status = withdrawal.status;
+    if (status === 'sending') {
+      status = await sendWithdrawal(withdrawal);
+    }
 
-    const updatedUser = await pool.query('SELECT balance FROM users WHERE phone = $1', [formattedPhone]);
-    res.json({ success: true, balance: parseFloat(updatedUser.rows[0].balance) });
+    const updated = await pool.query('SELECT balance FROM users WHERE phone = $1', [formattedPhone]);
+    res.json({ success: true, balance: updated.rows.length > 0 ? parseFloat(updated.rows[0].balance) : balance, reference, status });
   } catch (err) {
+    if (err instanceof WalletError) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error during withdrawal' });
   }
 });
 
 /* =========================
-   ADMIN DASHBOARD
+   ADMIN ACCOUNTS
 ========================= */
 
-app.get('/admin/stats', async (req, res) => {
-  const password = req.headers['authorization'];
-  if (password !== '3462Abel@#') {
-    return res.status(401).json({ error: 'Unauthorized' });
+// Admins sign in with their own username/password and get a token signed
+// with a secret separate from player sessions. Each admin route declares the
+// roles it needs with requireAdmin(...roles); superadmin passes every check
+// and an empty list means any signed-in admin, viewers included.
+
+const ADMIN_ROLES = ['viewer', 'support', 'finance', 'superadmin'];
+const ADMIN_AUTH_SECRET = process.env.ADMIN_AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const ADMIN_SESSION_TTL = parseInt(process.env.ADMIN_SESSION_TTL) || 8 * 60 * 60;
+
+if (!process.env.ADMIN_AUTH_SECRET) {
+  console.warn("⚠️ ADMIN_AUTH_SECRET is not set; admin sessions will not survive a restart");
+}
+
+function hasAdminRole(admin, roles) {
+  if (!admin) return false;
+  return admin.role === 'superadmin' || roles.length === 0 || roles.includes(admin.role);
+}
+
+function requireAdmin(...roles) {
+  return async (req, res, next) => {
+    const header = req.headers['authorization'] || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) return res.status(401).json({ error: 'Unauthorized' });
+
+    let payload;
+    try {
+      payload = jwt.verify(token, ADMIN_AUTH_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (payload.typ !== 'admin') return res.status(401).json({ error: 'Unauthorized' });
+
+    try {
+      const session = await pool.query(
+        `SELECT a.id, a.username, a.role FROM admin_sessions s JOIN admin_users a ON a.id = s.admin_id
+         WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND a.active = true`,
+        [payload.sid]
+      );
+      if (session.rows.length === 0) return res.status(401).json({ error: 'Unauthorized' });
+
+      req.admin = session.rows[0];
+      req.adminSessionId = payload.sid;
+      if (!hasAdminRole(req.admin, roles)) return res.status(403).json({ error: 'Forbidden' });
+      next();
+    } catch (err) {
+      res.status(500).json({ error: 'Server error during authentication' });
+    }
+  };
+}
+
+// Creates the first superadmin from ADMIN_USERNAME / ADMIN_PASSWORD when
+// there are no admin accounts yet.
+async function ensureBootstrapAdmin() {
+  const count = await pool.query('SELECT COUNT(*) FROM admin_users');
+  if (parseInt(count.rows[0].count) > 0) return;
+
+  if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) {
+    console.warn("⚠️ No admin accounts exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create one");
+    return;
+  }
+  await pool.query(
+    "INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, 'superadmin')",
+    [process.env.ADMIN_USERNAME, await hashSecret(process.env.ADMIN_PASSWORD)]
+  );
+  console.log(`👤 Created superadmin ${process.env.ADMIN_USERNAME}`);
+}
+
+app.post('/admin/login', async (req, res) => {
+  const { username, password } = req.body;
+  try {
+    if (typeof username !== 'string') return res.status(401).json({ error: 'Invalid username or password' });
+    const { row: admin, lockedUntil } = await checkSecret('admin', username, password);
+    if (lockedUntil) {
+      return res.status(423).json({ error: 'Too many failed sign-in attempts. Please try again later.', locked_until: lockedUntil });
+    }
+    if (!admin) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const sessionId = crypto.randomUUID();
+    await pool.query(
+      "INSERT INTO admin_sessions (id, admin_id, ip, expires_at) VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')",
+      [sessionId, admin.id, req.ip, ADMIN_SESSION_TTL]
+    );
+    await pool.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [admin.id]);
+    await auditLog(pool, req, { action: 'admin.login', targetType: 'admin', targetId: admin.id, admin });
+
+    const token = jwt.sign({ sub: admin.id, sid: sessionId, typ: 'admin' }, ADMIN_AUTH_SECRET, { expiresIn: ADMIN_SESSION_TTL });
+    res.json({ success: true, token, expiresIn: ADMIN_SESSION_TTL, admin: { id: admin.id, username: admin.username, role: admin.role } });
+  } catch (e) {
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+app.post('/admin/logout', requireAdmin(), async (req, res) => {
+  try {
+    await pool.query('UPDATE admin_sessions SET revoked_at = NOW() WHERE id = $1', [req.adminSessionId]);
+    closeMonitorStreams({ sessionId: req.adminSessionId });
+    await auditLog(pool, req, { action: 'admin.logout', targetType: 'admin', targetId: req.admin.id });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/admin/me', requireAdmin(), (req, res) => {
+  res.json({ success: true, admin: req.admin });
+});
+
+app.get('/admin/admins', requireAdmin('superadmin'), async (req, res) => {
+  try {
+    const admins = await pool.query('SELECT id, username, role, active, last_login_at, created_at FROM admin_users ORDER BY id');
+    res.json({ success: true, admins: admins.rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/admin/admins', requireAdmin('superadmin'), async (req, res) => {
+  const { username, password, role } = req.body;
+  if (!username || !password || password.length < 8) return res.status(400).json({ error: 'Username and a password of at least 8 characters are required' });
+  if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+  try {
+    const created = await pool.query(
+      'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id, username, role, active, created_at',
+      [username, await hashSecret(password), role]
+    );
+    await auditLog(pool, req, { action: 'admin.create', targetType: 'admin', targetId: created.rows[0].id, after: created.rows[0] });
+    res.json({ success: true, admin: created.rows[0] });
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ error: 'Username already in use' });
+    res.status(500).json({ error: e.message });
   }
+});
+
+app.post('/admin/admins/:id', requireAdmin('superadmin'), async (req, res) => {
+  const { role, active, password } = req.body;
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+  try {
+    const current = await pool.query('SELECT * FROM admin_users WHERE id = $1', [req.params.id]);
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Admin not found' });
+
+    const admin = current.rows[0];
+    const updated = await pool.query(
+      'UPDATE admin_users SET role = $1, active = $2, password_hash = $3 WHERE id = $4 RETURNING id, username, role, active',
+      [
+        role !== undefined ? role : admin.role,
+        active !== undefined ? !!active : admin.active,
+        password ? await hashSecret(password) : admin.password_hash,
+        admin.id
+      ]
+    );
+    // Role, status and password changes take effect on the next sign-in
+    if (role !== undefined || active !== undefined || password) {
+      await pool.query('UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL', [admin.id]);
+      closeMonitorStreams({ adminId: admin.id });
+    }
+    // A new password or reactivation also lifts a sign-in lockout
+    if (active !== undefined || password) {
+      await pool.query('UPDATE admin_users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1', [admin.id]);
+    }
+    await auditLog(pool, req, {
+      action: 'admin.update',
+      targetType: 'admin',
+      targetId: admin.id,
+      before: { role: admin.role, active: admin.active },
+      after: { role: updated.rows[0].role, active: updated.rows[0].active, password_changed: !!password }
+    });
+    res.json({ success: true, admin: updated.rows[0] });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* =========================
+   ADMIN AUDIT LOG
+========================= */
+
+// Every admin action appends a row here. Pass the transaction client when the
+// action itself runs in one, so the change and its audit entry commit together.
+async function auditLog(db, req, { action, targetType = null, targetId = null, before = null, after = null, admin = req.admin }) {
+  await db.query(
+    `INSERT INTO admin_audit_log (admin_id, admin_username, action, target_type, target_id, before_value, after_value, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      admin ? admin.id : null,
+      admin ? admin.username : null,
+      action,
+      targetType,
+      targetId !== null ? String(targetId) : null,
+      before !== null ? JSON.stringify(before) : null,
+      after !== null ? JSON.stringify(after) : null,
+      req.ip
+    ]
+  );
+}
+
+async function readSettings(keys) {
+  const result = await pool.query('SELECT setting_key, setting_value FROM settings WHERE setting_key = ANY($1)', [keys]);
+  const values = {};
+  for (const key of keys) values[key] = null;
+  for (const row of result.rows) values[row.setting_key] = row.setting_value;
+  return values;
+}
+
+const AUDIT_LOG_COLUMNS = ['id', 'created_at', 'admin_id', 'admin_username', 'action', 'target_type', 'target_id', 'before_value', 'after_value', 'ip'];
+
+app.get('/admin/audit-log', requireAdmin('finance'), async (req, res) => {
+  const { admin, action, target_type, target_id, format } = req.query;
+  const range = parseDateRange(req.query.from, req.query.to, { required: false });
+  if (range.error) return res.status(400).json({ error: range.error });
+  const where = [];
+  const params = [];
+  const filter = (clause, value) => {
+    params.push(value);
+    where.push(clause.replace('?', '$' + params.length));
+  };
+
+  if (admin) filter('admin_username = ?', admin);
+  if (action) filter('action = ?', action);
+  if (target_type) filter('target_type = ?', target_type);
+  if (target_id) filter('target_id = ?', target_id);
+  if (range.from) filter('created_at >= ?', range.from);
+  if (range.to) filter('created_at < ?', range.to);
+  const whereSql = where.length > 0 ? 'WHERE ' + where.join(' AND ') : '';
 
+  try {
+    if (format === 'csv') {
+      const rows = await pool.query(`SELECT * FROM admin_audit_log ${whereSql} ORDER BY id DESC LIMIT 10000`, params);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
+      return res.send(toCsv(AUDIT_LOG_COLUMNS, rows.rows));
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const total = await pool.query(`SELECT COUNT(*) FROM admin_audit_log ${whereSql}`, params);
+    const rows = await pool.query(
+      `SELECT * FROM admin_audit_log ${whereSql} ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({ success: true, page, limit, total: parseInt(total.rows[0].count), entries: rows.rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* =========================
+   ADMIN DASHBOARD
+========================= */
+
+app.get('/admin/stats', requireAdmin(), async (req, res) => {
   try {
     const totalUsers = await pool.query('SELECT COUNT(*) FROM users');
     const totalBalance = await pool.query('SELECT SUM(balance) FROM users');
@@ -419,49 +1489,410 @@ app.get('/admin/stats', async (req, res) => {
 });
 
 
+/* =========================
+   FINANCIAL REPORTS
+========================= */
+
+// Money figures come from transactions by the time they were posted, so they
+// agree with the ledger. GGR is stakes less wins across both wallets; net
+// gaming revenue uses the cash wallet only and takes off what bonuses and
+// referrals cost in cash (bonuses paid or converted to cash, referral
+// payouts). Round figures come from the rounds that crashed in the range.
+const REPORT_MAX_ROWS = parseInt(process.env.REPORT_MAX_ROWS) || 100000;
+// Fixed cashout targets at which realised and configured RTP are compared
+const RTP_TARGETS = [1.5, 2, 3, 5, 10, 25, 50, 100];
+
+const REPORT_TRANSACTIONS_SQL = (group) => `
+  SELECT ${group ? group + ' AS day,' : ''}
+    COALESCE(SUM(amount) FILTER (WHERE type = 'bet'), 0) AS bets,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'bet_refund'), 0) AS refunds,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'bet' AND wallet = 'cash'), 0) AS cash_bets,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'bet_refund' AND wallet = 'cash'), 0) AS cash_refunds,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'win'), 0) AS wins,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'win' AND wallet = 'cash'), 0) AS cash_wins,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'deposit' AND status = 'success'), 0) AS deposits,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'withdrawal' AND status = 'success'), 0) AS withdrawals,
+    COALESCE(SUM(amount) FILTER (WHERE type = 'withdrawal' AND status = 'pending'), 0) AS withdrawals_pending,
+    COALESCE(SUM(amount) FILTER (WHERE type IN ('referral_bonus', 'referral_commission')), 0) AS referral_cost,
+    COALESCE(SUM(amount) FILTER (WHERE type IN ('bonus_grant', 'bonus_conversion') AND wallet = 'cash'), 0) AS bonus_cost,
+    COUNT(DISTINCT phone) FILTER (WHERE type = 'bet') AS active_players
+  FROM transactions
+  WHERE created_at >= $1 AND created_at < $2
+  ${group ? 'GROUP BY 1 ORDER BY 1' : ''}`;
+
+const REPORT_BETS_SQL = (group) => `
+  SELECT ${group ? group + ' AS day,' : ''} COUNT(*) AS bets
+  FROM bets
+  WHERE round_id IS NOT NULL AND status NOT IN ('void', 'cancelled') AND created_at >= $1 AND created_at < $2
+  ${group ? 'GROUP BY 1 ORDER BY 1' : ''}`;
+
+const REPORT_DAY = "to_char(created_at, 'YYYY-MM-DD')";
+
+function reportFigures(row, betCount) {
+  const n = key => parseFloat(row[key]) || 0;
+  const stakes = toCents(n('bets') - n('refunds'));
+  const cashStakes = toCents(n('cash_bets') - n('cash_refunds'));
+  const wins = n('wins');
+  const cashWins = n('cash_wins');
+  const cashGgr = toCents(cashStakes - cashWins);
+  const players = parseInt(row.active_players) || 0;
+  const bets = parseInt(betCount) || 0;
+  return {
+    stakes,
+    cash_stakes: cashStakes,
+    bonus_stakes: toCents(stakes - cashStakes),
+    wins,
+    cash_wins: cashWins,
+    bonus_wins: toCents(wins - cashWins),
+    ggr: toCents(stakes - wins),
+    rtp: stakes > 0 ? Math.round(wins / stakes * 10000) / 10000 : null,
+    cash_ggr: cashGgr,
+    bonus_cost: n('bonus_cost'),
+    referral_cost: n('referral_cost'),
+    net_gaming_revenue: toCents(cashGgr - n('bonus_cost') - n('referral_cost')),
+    deposits: n('deposits'),
+    withdrawals: n('withdrawals'),
+    withdrawals_pending: n('withdrawals_pending'),
+    net_deposits: toCents(n('deposits') - n('withdrawals')),
+    active_players: players,
+    bets,
+    avg_bets_per_player: players > 0 ? Math.round(bets / players * 100) / 100 : 0
+  };
+}
+
+// The distribution getNextCrashPoint() draws from under the current settings.
+// One-off next_multiplier overrides are ignored. Returns P(crash >= m).
+async function configuredCrashDistribution() {
+  if (await isProvablyFair()) {
+    const chain = await pool.query('SELECT house_edge FROM seed_chains WHERE active = true ORDER BY id DESC LIMIT 1');
+    const edge = chain.rows.length > 0 ? parseFloat(chain.rows[0].house_edge) : FAIR_HOUSE_EDGE;
+    return { source: 'provably_fair', description: `Provably fair, ${(edge * 100).toFixed(2)}% house edge`, survival: m => Math.min(1, (1 - edge) / m) };
+  }
+  const values = await readSettings(['odds_list', 'admin_min_odd', 'admin_max_odd']);
+  const list = (values.odds_list || '').split(',').map(v => parseFloat(v.trim())).filter(v => !isNaN(v));
+  if (list.length > 0) {
+    return { source: 'odds_list', description: `Uniform pick from ${list.length} listed odds`, survival: m => list.filter(v => v >= m).length / list.length };
+  }
+  const min = parseFloat(values.admin_min_odd);
+  const max = parseFloat(values.admin_max_odd);
+  if (!isNaN(min) && !isNaN(max) && max >= min) {
+    return {
+      source: 'range',
+      description: `Uniform between ${min}x and ${max}x`,
+      survival: m => m <= min ? 1 : m > max ? 0 : (max - m) / (max - min)
+    };
+  }
+  return {
+    source: 'default',
+    description: 'Default bands: ' + DEFAULT_CRASH_BANDS.map(b => `${b.weight * 100}% ${b.min}-${b.max}x`).join(', '),
+    survival: m => DEFAULT_CRASH_BANDS.reduce((p, b) => p + b.weight * Math.min(1, Math.max(0, (b.max - m) / (b.max - b.min))), 0)
+  };
+}
+
+// Compares how often crashes reached each target against the configuration.
+// For a player always cashing out at m the RTP is m * P(crash >= m).
+async function rtpReport(range, realisedRtp) {
+  const distribution = await configuredCrashDistribution();
+  const result = await pool.query(
+    `SELECT COUNT(*) AS rounds, ${RTP_TARGETS.map((t, i) => `COUNT(*) FILTER (WHERE crash_point >= $${i + 3}) AS t${i}`).join(', ')}
+     FROM rounds WHERE status = 'crashed' AND crashed_at >= $1 AND crashed_at < $2`,
+    [range.from, range.to, ...RTP_TARGETS]
+  );
+  const rounds = parseInt(result.rows[0].rounds);
+  const round4 = v => Math.round(v * 10000) / 10000;
+  return {
+    realised_rtp: realisedRtp,
+    distribution: { source: distribution.source, description: distribution.description },
+    rounds,
+    targets: RTP_TARGETS.map((target, i) => {
+      const configured = distribution.survival(target);
+      const realised = rounds > 0 ? parseInt(result.rows[0]['t' + i]) / rounds : null;
+      return {
+        target,
+        configured_probability: round4(configured),
+        realised_probability: realised === null ? null : round4(realised),
+        configured_rtp: round4(target * configured),
+        realised_rtp: realised === null ? null : round4(target * realised)
+      };
+    })
+  };
+}
+
+async function financialReport(range) {
+  const params = [range.from, range.to];
+  const totals = await pool.query(REPORT_TRANSACTIONS_SQL(null), params);
+  const totalBets = await pool.query(REPORT_BETS_SQL(null), params);
+  const days = await pool.query(REPORT_TRANSACTIONS_SQL(REPORT_DAY), params);
+  const dayBets = await pool.query(REPORT_BETS_SQL(REPORT_DAY), params);
+
+  const betsByDay = new Map(dayBets.rows.map(r => [r.day, r.bets]));
+  const summary = reportFigures(totals.rows[0], totalBets.rows[0].bets);
+  const daily = days.rows.map(r => ({ day: r.day, ...reportFigures(r, betsByDay.get(r.day)) }));
+  for (const [day, bets] of betsByDay) {
+    if (!daily.some(d => d.day === day)) daily.push({ day, ...reportFigures({}, bets) });
+  }
+  daily.sort((a, b) => a.day.localeCompare(b.day));
+
+  const worstRounds = await pool.query(
+    `SELECT id, crashed_at, crash_point, total_wagered, total_paid_out, player_count, total_wagered - total_paid_out AS house_margin
+     FROM rounds WHERE status = 'crashed' AND crashed_at >= $1 AND crashed_at < $2
+     ORDER BY total_wagered - total_paid_out ASC LIMIT 10`,
+    params
+  );
+
+  return {
+    from: range.from,
+    to: range.to,
+    summary,
+    daily,
+    rtp: await rtpReport(range, summary.rtp),
+    worst_rounds: worstRounds.rows
+  };
+}
+
+const REPORT_SUMMARY_LABELS = {
+  stakes: 'Total stakes',
+  cash_stakes: 'Cash stakes',
+  bonus_stakes: 'Bonus and free-bet stakes',
+  wins: 'Total wins',
+  cash_wins: 'Cash wins',
+  bonus_wins: 'Bonus wins',
+  ggr: 'Gross gaming revenue',
+  rtp: 'Realised RTP',
+  cash_ggr: 'Cash GGR',
+  bonus_cost: 'Bonus cost',
+  referral_cost: 'Referral cost',
+  net_gaming_revenue: 'Net gaming revenue',
+  deposits: 'Deposits',
+  withdrawals: 'Withdrawals paid',
+  withdrawals_pending: 'Withdrawals pending',
+  net_deposits: 'Net deposits',
+  active_players: 'Active players',
+  bets: 'Bets placed',
+  avg_bets_per_player: 'Average bets per player'
+};
+const REPORT_DAILY_COLUMNS = ['day', ...Object.keys(REPORT_SUMMARY_LABELS)];
+const REPORT_RTP_COLUMNS = ['target', 'configured_probability', 'realised_probability', 'configured_rtp', 'realised_rtp'];
+const REPORT_ROUND_COLUMNS = ['id', 'crashed_at', 'crash_point', 'provably_fair', 'player_count', 'total_wagered', 'total_paid_out', 'house_margin', 'margin_pct'];
+
+function percent(value) {
+  return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+}
+
+function reportValue(key, value) {
+  if (['active_players', 'bets', 'avg_bets_per_player'].includes(key)) return String(value);
+  if (key === 'rtp') return percent(value);
+  return money(value);
+}
+
+function financialReportPdf(doc, report) {
+  const lastDay = new Date(report.to.getTime() - 1);
+  const { row, heading } = brandedPdf(doc, 'Financial Report', [
+    `Period: ${report.from.toISOString().slice(0, 10)} to ${lastDay.toISOString().slice(0, 10)}`
+  ]);
+
+  heading('Summary');
+  for (const [key, label] of Object.entries(REPORT_SUMMARY_LABELS)) {
+    row([label, reportValue(key, report.summary[key])], [0.6, 0.4], { bold: ['ggr', 'net_gaming_revenue'].includes(key) });
+  }
+
+  heading('Daily breakdown');
+  const daily = [0.13, 0.13, 0.13, 0.13, 0.09, 0.12, 0.1, 0.09, 0.08];
+  row(['Day', 'Stakes', 'Wins', 'GGR', 'RTP', 'Net revenue', 'Deposits', 'Withdrawals', 'Players'], daily, { bold: true });
+  if (report.daily.length === 0) row(['No activity in this period'], [1]);
+  for (const d of report.daily) {
+    row([d.day, money(d.stakes), money(d.wins), money(d.ggr), percent(d.rtp), money(d.net_gaming_revenue),
+      money(d.deposits), money(d.withdrawals), d.active_players], daily);
+  }
+
+  heading('Return to player');
+  row([`Configured distribution: ${report.rtp.distribution.description}`], [1]);
+  row([`Rounds crashed: ${report.rtp.rounds}; realised RTP on stakes: ${percent(report.rtp.realised_rtp)}`], [1]);
+  const rtp = [0.2, 0.2, 0.2, 0.2, 0.2];
+  row(['Cashout target', 'P(reach) configured', 'P(reach) realised', 'RTP configured', 'RTP realised'], rtp, { bold: true });
+  for (const t of report.rtp.targets) {
+    row([`${t.target}x`, percent(t.configured_probability), percent(t.realised_probability), percent(t.configured_rtp), percent(t.realised_rtp)], rtp);
+  }
+
+  heading('Rounds with the largest house loss');
+  const rounds = [0.12, 0.24, 0.14, 0.1, 0.14, 0.14, 0.12];
+  row(['Round', 'Crashed at', 'Crash point', 'Players', 'Wagered', 'Paid out', 'Margin'], rounds, { bold: true });
+  for (const r of report.worst_rounds) {
+    row([`#${r.id}`, r.crashed_at.toISOString().replace('T', ' ').slice(0, 19), `${parseFloat(r.crash_point).toFixed(2)}x`, r.player_count,
+      money(r.total_wagered), money(r.total_paid_out), money(r.house_margin)], rounds);
+  }
+
+  doc.end();
+}
+
+// GET /admin/reports/financial?from=&to=&format=json|csv|pdf[&section=summary|daily|rtp]
+app.get('/admin/reports/financial', requireAdmin('finance'), async (req, res) => {
+  const range = parseDateRange(req.query.from, req.query.to);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const format = req.query.format || 'json';
+  if (!['json', 'csv', 'pdf'].includes(format)) return res.status(400).json({ error: 'format must be json, csv or pdf' });
+
+  try {
+    const report = await financialReport(range);
+    const name = `financial-report-${range.from.toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      const section = req.query.section || 'daily';
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${name}-${section}.csv`);
+      if (section === 'summary') {
+        const rows = Object.entries(REPORT_SUMMARY_LABELS).map(([key, label]) => ({ metric: label, value: report.summary[key] }));
+        return res.send(toCsv(['metric', 'value'], rows));
+      }
+      if (section === 'rtp') return res.send(toCsv(REPORT_RTP_COLUMNS, report.rtp.targets));
+      return res.send(toCsv(REPORT_DAILY_COLUMNS, report.daily));
+    }
+
+    if (format === 'pdf') {
+      const doc = new PDFDocument({ margin: 40, size: 'A4' });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${name}.pdf`);
+      doc.pipe(res);
+      return financialReportPdf(doc, report);
+    }
+
+    res.json({ success: true, ...report });
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+// Per-round house margin. JSON is paged by round id (newest first); CSV
+// exports the whole range.
+app.get('/admin/reports/rounds', requireAdmin('finance'), async (req, res) => {
+  const range = parseDateRange(req.query.from, req.query.to);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const csv = req.query.format === 'csv';
+  const limit = csv ? REPORT_MAX_ROWS : Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+  const cursor = parseInt(req.query.cursor) || null;
+
+  try {
+    const rounds = await pool.query(
+      `SELECT id, crashed_at, crash_point, provably_fair, player_count, total_wagered, total_paid_out,
+              total_wagered - total_paid_out AS house_margin,
+              CASE WHEN total_wagered > 0 THEN ROUND((total_wagered - total_paid_out) / total_wagered, 4) END AS margin_pct
+       FROM rounds
+       WHERE status = 'crashed' AND crashed_at >= $1 AND crashed_at < $2 AND ($3::int IS NULL OR id < $3)
+       ORDER BY id DESC LIMIT $4`,
+      [range.from, range.to, csv ? null : cursor, limit + 1]
+    );
+
+    if (csv) {
+      if (rounds.rows.length > limit) return res.status(400).json({ error: `More than ${limit} rounds; choose a shorter date range` });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=rounds-${range.from.toISOString().slice(0, 10)}.csv`);
+      return res.send(toCsv(REPORT_ROUND_COLUMNS, rounds.rows));
+    }
+
+    const { rows, next_cursor } = historyPage(rounds.rows, limit);
+    res.json({ success: true, rounds: rows, next_cursor });
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
 /* =========================
    ADMIN ADDITIONAL ROUTES
 ========================= */
-app.post('/admin/set-odds', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+app.post('/admin/set-odds', requireAdmin('superadmin'), async (req, res) => {
   try {
+    if(await isProvablyFair()) return res.status(409).json({error: 'Manual odds are disabled in provably-fair mode'});
+    const before = await readSettings(['next_multiplier']);
     await pool.query("INSERT INTO settings (setting_key, setting_value) VALUES ('next_multiplier', $1) ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value", [req.body.multiplier]);
+    await auditLog(pool, req, { action: 'settings.set_odds', targetType: 'settings', targetId: 'next_multiplier', before, after: await readSettings(['next_multiplier']) });
     res.json({success: true});
   } catch(e) { res.status(500).json({error: e.message}); }
 });
 
-app.post('/admin/set-bounds', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+app.post('/admin/set-bounds', requireAdmin('superadmin'), async (req, res) => {
   try {
     const min = parseFloat(req.body.min);
     const max = parseFloat(req.body.max);
+    const keys = ['admin_min_odd', 'admin_max_odd'];
+    const before = await readSettings(keys);
     if(!isNaN(min) && !isNaN(max)) {
       await pool.query("INSERT INTO settings (setting_key, setting_value) VALUES ('admin_min_odd', $1) ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value", [min]);
       await pool.query("INSERT INTO settings (setting_key, setting_value) VALUES ('admin_max_odd', $1) ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value", [max]);
-      res.json({success: true});
     } else {
       await pool.query("DELETE FROM settings WHERE setting_key IN ('admin_min_odd', 'admin_max_odd')");
-      res.json({success: true});
     }
+    await auditLog(pool, req, { action: 'settings.set_bounds', targetType: 'settings', targetId: keys.join(','), before, after: await readSettings(keys) });
+    res.json({success: true});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/set-bet-limit', requireAdmin('superadmin'), async (req, res) => {
+  try {
+    const limit = parseInt(req.body.maxBetsPerRound);
+    if(!(limit >= 1)) return res.status(400).json({error: 'maxBetsPerRound must be at least 1'});
+    const before = await readSettings(['max_bets_per_round']);
+    await pool.query("INSERT INTO settings (setting_key, setting_value) VALUES ('max_bets_per_round', $1) ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value", [limit]);
+    await auditLog(pool, req, { action: 'settings.set_bet_limit', targetType: 'settings', targetId: 'max_bets_per_round', before, after: { max_bets_per_round: String(limit) } });
+    res.json({success: true, maxBetsPerRound: limit});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/set-stake-limits', requireAdmin('superadmin'), async (req, res) => {
+  try {
+    const updates = {};
+    for (const key of Object.keys(STAKE_LIMIT_DEFAULTS)) {
+      if (req.body[key] === undefined) continue;
+      const value = parseFloat(req.body[key]);
+      if (!(value > 0)) return res.status(400).json({error: `${key} must be a positive number`});
+      updates[key] = value;
+    }
+    if (Object.keys(updates).length === 0) return res.status(400).json({error: 'No limits given'});
+    const current = await stakeLimits();
+    const next = { ...current, ...updates };
+    if (next.min_stake > next.max_stake) return res.status(400).json({error: 'min_stake cannot exceed max_stake'});
+    if (next.max_auto_cashout < 1.01) return res.status(400).json({error: 'max_auto_cashout must be at least 1.01'});
+
+    const before = await readSettings(Object.keys(updates));
+    for (const [key, value] of Object.entries(updates)) {
+      await pool.query("INSERT INTO settings (setting_key, setting_value) VALUES ($1, $2) ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value", [key, value]);
+    }
+    await auditLog(pool, req, { action: 'settings.set_stake_limits', targetType: 'settings', targetId: 'stake_limits', before, after: updates });
+    res.json({success: true, limits: next});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/provably-fair', requireAdmin('superadmin'), async (req, res) => {
+  try {
+    const value = req.body.enabled ? 'on' : 'off';
+    const before = await readSettings(['provably_fair']);
+    await pool.query("INSERT INTO settings (setting_key, setting_value) VALUES ('provably_fair', $1) ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value", [value]);
+    await auditLog(pool, req, { action: 'settings.provably_fair', targetType: 'settings', targetId: 'provably_fair', before, after: { provably_fair: value } });
+    res.json({success: true, enabled: value === 'on'});
   } catch(e) { res.status(500).json({error: e.message}); }
 });
 
-app.post('/admin/create-user', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+app.post('/admin/create-user', requireAdmin('support', 'finance'), async (req, res) => {
   try {
     const { phone, username, pin, balance } = req.body;
     const formattedPhone = formatPhone(phone);
     if(!formattedPhone) return res.status(400).json({error: 'Invalid phone format'});
+    if(!isValidPin(pin)) return res.status(400).json({error: 'PIN must be 6 characters'});
+    if(parseFloat(balance) && !hasAdminRole(req.admin, ['finance'])) return res.status(403).json({error: 'Only finance can set an opening balance'});
     
-    await pool.query(
-      'INSERT INTO users (username, phone, pin, balance) VALUES ($1, $2, $3, $4)',
-      [username, formattedPhone, pin, parseFloat(balance) || 0]
-    );
+    const pinHash = await hashSecret(pin);
+    await withTransaction(async (client) => {
+      const created = await client.query(
+        'INSERT INTO users (username, phone, pin, balance) VALUES ($1, $2, $3, 0) RETURNING id',
+        [username, formattedPhone, pinHash]
+      );
+      const openingBalance = parseFloat(balance) || 0;
+      if(openingBalance !== 0) {
+        await walletPost(client, formattedPhone, openingBalance, 'admin_adjustment', { recordedAmount: openingBalance, allowNegative: true });
+      }
+      const after = await client.query(USER_SNAPSHOT_SQL, [created.rows[0].id]);
+      await auditLog(client, req, { action: 'user.create', targetType: 'user', targetId: created.rows[0].id, after: after.rows[0] });
+    });
     res.json({success: true});
-  } catch(e) { res.status(500).json({error: e.message}); }
+  } catch(e) {
+    if(e.code === '23505') return res.status(400).json({error: 'Username or phone number already in use'});
+    res.status(500).json({error: e.message});
+  }
 });
 
 app.get('/api/next-odd', async (req, res) => {
@@ -478,91 +1909,112 @@ app.get('/api/next-odd', async (req, res) => {
   } catch(e) { res.json({success: false}); }
 });
 
-app.get('/admin/users', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+app.get('/admin/users', requireAdmin(), async (req, res) => {
   try {
-    const users = await pool.query("SELECT id, username, phone, pin, balance, status FROM users ORDER BY id DESC");
+    const users = await pool.query("SELECT id, username, phone, balance, status, failed_pin_attempts, locked_until FROM users ORDER BY id DESC");
     res.json({success: true, users: users.rows});
   } catch(e) { res.status(500).json({error: e.message}); }
 });
 
-app.post('/admin/users/action', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+// Balance and account removal are finance decisions; support handles the rest
+const USER_SNAPSHOT_SQL = 'SELECT id, username, phone, balance, status, failed_pin_attempts, locked_until FROM users WHERE id = $1';
+
+const USER_ACTION_ROLES = {
+  delete: ['finance'],
+  adjust: ['finance'],
+  suspend: ['support', 'finance'],
+  activate: ['support', 'finance'],
+  unlock: ['support', 'finance']
+};
+
+app.post('/admin/users/action', requireAdmin('support', 'finance'), async (req, res) => {
   const { action, userId, amount } = req.body;
+  if(!USER_ACTION_ROLES[action]) return res.status(400).json({error: 'Unknown action'});
+  if(!hasAdminRole(req.admin, USER_ACTION_ROLES[action])) return res.status(403).json({error: 'Forbidden'});
   try {
-    if(action === 'delete') await pool.query("DELETE FROM users WHERE id = $1", [userId]);
-    else if(action === 'suspend') await pool.query("UPDATE users SET status = 'suspended' WHERE id = $1", [userId]);
-    else if(action === 'activate') await pool.query("UPDATE users SET status = 'active' WHERE id = $1", [userId]);
-    else if(action === 'adjust') {
-      await pool.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [amount, userId]);
-      const u = await pool.query("SELECT phone FROM users WHERE id = $1", [userId]);
-      if(u.rows.length > 0) {
-        await pool.query("INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, $3, $4)", [u.rows[0].phone, amount, 'admin_adjustment', 'success']);
+    await withTransaction(async (client) => {
+      const before = await client.query(USER_SNAPSHOT_SQL + ' FOR UPDATE', [userId]);
+      if(before.rows.length === 0) throw new WalletError('User not found', 404);
+
+      if(action === 'delete') await deleteUser(client, before.rows[0].phone);
+      else if(action === 'suspend') await client.query("UPDATE users SET status = 'suspended' WHERE id = $1", [userId]);
+      if(action === 'delete' || action === 'suspend') afterCommit(client, () => closeUserStreams(before.rows[0].phone));
+      else if(action === 'activate') await client.query("UPDATE users SET status = 'active' WHERE id = $1", [userId]);
+      else if(action === 'unlock') await client.query("UPDATE users SET failed_pin_attempts = 0, locked_until = NULL WHERE id = $1", [userId]);
+      else if(action === 'adjust') {
+        await walletPost(client, before.rows[0].phone, amount, 'admin_adjustment', { recordedAmount: toCents(amount), allowNegative: true });
       }
-    }
+
+      const after = action === 'delete' ? null : (await client.query(USER_SNAPSHOT_SQL, [userId])).rows[0];
+      await auditLog(client, req, { action: `user.${action}`, targetType: 'user', targetId: userId, before: before.rows[0], after });
+    });
     res.json({success: true});
-  } catch(e) { res.status(500).json({error: e.message}); }
+  } catch(e) {
+    if (e instanceof WalletError) return res.status(e.status).json({error: e.message});
+    res.status(500).json({error: e.message});
+  }
 });
 
-app.post('/admin/users/adjust-by-phone', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+app.post('/admin/users/adjust-by-phone', requireAdmin('finance'), async (req, res) => {
   const { phone, amount } = req.body;
-  
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
-  if (isNaN(amount)) return res.status(400).json({ error: 'Invalid amount' });
 
   try {
+    const formattedPhone = formatPhone(phone);
+    if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
+    if (isNaN(amount)) return res.status(400).json({ error: 'Invalid amount' });
+
     const user = await pool.query("SELECT id FROM users WHERE phone = $1", [formattedPhone]);
     if(user.rows.length === 0) return res.status(404).json({error: 'User not found'});
     
-    await pool.query("UPDATE users SET balance = balance + $1 WHERE phone = $2", [amount, formattedPhone]);
-    await pool.query("INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, $3, $4)", [formattedPhone, amount, 'admin_adjustment', 'success']);
+    await withTransaction(async (client) => {
+      const before = await client.query(USER_SNAPSHOT_SQL + ' FOR UPDATE', [user.rows[0].id]);
+      await walletPost(client, formattedPhone, amount, 'admin_adjustment', { recordedAmount: toCents(amount), allowNegative: true });
+      const after = await client.query(USER_SNAPSHOT_SQL, [user.rows[0].id]);
+      await auditLog(client, req, { action: 'user.adjust', targetType: 'user', targetId: user.rows[0].id, before: before.rows[0], after: after.rows[0] });
+    });
     
     res.json({success: true});
-  } catch(e) { 
-    res.status(500).json({error: e.message}); 
+  } catch(e) {
+    if (e instanceof WalletError) return res.status(e.status).json({error: e.message});
+    res.status(500).json({error: e.message});
   }
 });
 
-app.get('/admin/transactions', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+app.get('/admin/transactions', requireAdmin(), async (req, res) => {
   try {
     const tx = await pool.query("SELECT * FROM transactions ORDER BY created_at DESC LIMIT 100");
     res.json({success: true, transactions: tx.rows});
   } catch(e) { res.status(500).json({error: e.message}); }
 });
 
-app.post('/admin/send-notification', async (req, res) => {
-  const pwd = req.headers['authorization'];
-  if(pwd !== '3462Abel@#') return res.status(401).json({error: 'Unauthorized'});
+app.get('/admin/wallet/reconcile', requireAdmin('finance'), async (req, res) => {
+  try {
+    const report = await reconcileWallets();
+    res.json({success: true, ...report});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/send-notification', requireAdmin('support'), async (req, res) => {
   const { target, phone, message } = req.body;
   try {
     let count = 0;
     if(target === 'all') {
       const users = await pool.query("SELECT phone FROM users WHERE status = 'active'");
       for(const u of users.rows) {
-        await pool.query("INSERT INTO notifications (phone, message) VALUES ($1, $2)", [u.phone, message]);
+        await notify(pool, u.phone, message);
         count++;
       }
     } else if(target === 'specific' && phone) {
-      await pool.query("INSERT INTO notifications (phone, message) VALUES ($1, $2)", [phone, message]);
+      await notify(pool, phone, message);
       count = 1;
     }
+    await auditLog(pool, req, { action: 'notification.send', targetType: target === 'all' ? 'all_users' : 'user', targetId: target === 'all' ? null : phone, after: { message, count } });
     res.json({success: true, count});
   } catch(e) { res.status(500).json({error: e.message}); }
 });
 
-app.get('/api/notifications', async (req, res) => {
-  const { phone } = req.query;
-
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone)
-    return res.status(400).json({ error: 'Invalid phone format' });
+app.get('/api/notifications', requireAuth, async (req, res) => {
+  const formattedPhone = req.phone;
 
   try {
     const notifs = await pool.query(
@@ -577,12 +2029,8 @@ app.get('/api/notifications', async (req, res) => {
   }
 });
 
-app.post('/api/notifications/mark-read', async (req, res) => {
-  const { phone } = req.body;
-
-  const formattedPhone = formatPhone(phone);
-  if (!formattedPhone)
-    return res.status(400).json({ error: 'Invalid phone format' });
+app.post('/api/notifications/mark-read', requireAuth, async (req, res) => {
+  const formattedPhone = req.phone;
 
   try {
     await pool.query(
@@ -598,60 +2046,943 @@ app.post('/api/notifications/mark-read', async (req, res) => {
 });
 
 /* =========================
-   REFERRAL SYSTEM
+   RESPONSIBLE GAMBLING
 ========================= */
 
-app.get('/api/referrals', async (req, res) => {
-  const { phone } = req.query;
-  const formattedPhone = formatPhone(phone);
-  
-  if (!formattedPhone) return res.status(400).json({ error: 'Invalid phone format' });
+// Player-set deposit and loss limits over rolling daily/weekly/monthly windows,
+// timed cool-offs and self-exclusion. Lowering a limit applies at once; raising
+// or removing one waits RG_LIMIT_INCREASE_HOURS so it cannot be loosened in the
+// middle of a losing session.
+const RG_LIMIT_TYPES = ['deposit', 'loss'];
+const RG_PERIODS = { daily: '1 day', weekly: '7 days', monthly: '30 days' };
+const RG_LIMIT_INCREASE_HOURS = parseInt(process.env.RG_LIMIT_INCREASE_HOURS) || 24;
+const RG_MAX_COOL_OFF_DAYS = parseInt(process.env.RG_MAX_COOL_OFF_DAYS) || 42;
+const RG_MIN_SELF_EXCLUSION_DAYS = parseInt(process.env.RG_MIN_SELF_EXCLUSION_DAYS) || 180;
+const RG_REALITY_CHECK_MINUTES = parseInt(process.env.RG_REALITY_CHECK_MINUTES) || 60;
+const RG_PLAY_SESSION_GAP_MINUTES = 30;
+
+const RG_USAGE_SQL = {
+  // Pending STK pushes count too, otherwise several could be started at once
+  deposit: `SELECT COALESCE(SUM(amount), 0) AS used FROM receipts
+            WHERE phone = $1 AND status IN ('pending', 'success') AND created_at >= NOW() - $2::interval`,
+  // Only cash counts: bonus money was never the player's to lose
+  loss: `SELECT COALESCE(SUM(CASE WHEN type = 'bet' THEN amount ELSE -amount END), 0) AS used FROM transactions
+         WHERE phone = $1 AND wallet = 'cash' AND type IN ('bet', 'win', 'bet_refund') AND status = 'success' AND created_at >= NOW() - $2::interval`
+};
+
+// Returns the player's limits after applying any delayed change that is due.
+async function loadLimits(phone) {
+  await pool.query(
+    'DELETE FROM player_limits WHERE phone = $1 AND pending_effective_at <= NOW() AND pending_amount IS NULL', [phone]
+  );
+  await pool.query(
+    `UPDATE player_limits SET amount = pending_amount, pending_amount = NULL, pending_effective_at = NULL, updated_at = NOW()
+     WHERE phone = $1 AND pending_effective_at <= NOW()`,
+    [phone]
+  );
+  const result = await pool.query('SELECT * FROM player_limits WHERE phone = $1 ORDER BY limit_type, period', [phone]);
+  return result.rows;
+}
 
-  try {
-    const userResult = await pool.query('SELECT username, referral_code FROM users WHERE phone = $1', [formattedPhone]);
-    if (userResult.rows.length === 0) return res.status(404).json({ error: 'User not found' });
-    
-    const user = userResult.rows[0];
-    
-    // Get people referred by this user
-    const referredUsersResult = await pool.query(
-      'SELECT username, created_at FROM users WHERE referral_code = $1 ORDER BY created_at DESC', 
-      [user.username]
-    );
-    
-    // Get earnings from referrals (both joining bonus and deposit commissions)
-    const earningsResult = await pool.query(
-      "SELECT SUM(amount) as total_earned FROM transactions WHERE phone = $1 AND type IN ('referral_bonus', 'referral_commission') AND status = 'success'",
-      [formattedPhone]
-    );
-    
-    // Get total deposits by referred users
-    let totalDeposits = 0;
-    if (referredUsersResult.rows.length > 0) {
-      const referredUsernames = referredUsersResult.rows.map(r => r.username);
-      // Get their phones to query transactions
-      const referredPhonesResult = await pool.query(
-        'SELECT phone FROM users WHERE username = ANY($1)',
-        [referredUsernames]
-      );
-      const referredPhones = referredPhonesResult.rows.map(r => r.phone);
-      
-      if (referredPhones.length > 0) {
-        const depositsResult = await pool.query(
-          "SELECT SUM(amount) as total FROM transactions WHERE phone = ANY($1) AND type = 'deposit' AND status = 'success'",
-          [referredPhones]
-        );
-        totalDeposits = parseFloat(depositsResult.rows[0].total || 0);
-      }
+async function limitUsage(phone, type, period) {
+  const result = await pool.query(RG_USAGE_SQL[type], [phone, RG_PERIODS[period]]);
+  return parseFloat(result.rows[0].used);
+}
+
+// Returns a message for the first limit that amount would break, or null.
+async function checkLimits(phone, type, amount) {
+  const limits = (await loadLimits(phone)).filter(l => l.limit_type === type);
+  for (const limit of limits) {
+    const cap = parseFloat(limit.amount);
+    const used = await limitUsage(phone, type, limit.period);
+    if (used + amount > cap) {
+      return `This would exceed your ${limit.period} ${type} limit of KSH ${cap.toFixed(2)}. ` +
+        `You have KSH ${Math.max(0, cap - used).toFixed(2)} left.`;
     }
-    
+  }
+  return null;
+}
+
+const RESTRICTION_SQL = `
+  SELECT cool_off_until, self_excluded_until, reality_check_minutes,
+         self_excluded_at IS NOT NULL AND (self_excluded_until IS NULL OR self_excluded_until > NOW()) AS self_excluded,
+         cool_off_until IS NOT NULL AND cool_off_until > NOW() AS cooling_off
+  FROM users WHERE phone = $1`;
+
+// Returns { error, message, until } when the player may not deposit or bet.
+async function playRestriction(phone) {
+  const result = await pool.query(RESTRICTION_SQL, [phone]);
+  const user = result.rows[0];
+  if (!user) return null;
+  if (user.self_excluded) {
+    return {
+      error: 'self_excluded',
+      until: user.self_excluded_until,
+      message: user.self_excluded_until
+        ? `Your account is self-excluded until ${new Date(user.self_excluded_until).toISOString()}.`
+        : 'Your account is permanently self-excluded.'
+    };
+  }
+  if (user.cooling_off) {
+    return {
+      error: 'cool_off',
+      until: user.cool_off_until,
+      message: `You are on a break until ${new Date(user.cool_off_until).toISOString()}.`
+    };
+  }
+  return null;
+}
+
+// Bets still queued for the next round are cancelled when a player takes a
+// break; nothing has been deducted for them yet.
+async function cancelQueuedBets(phone) {
+  const queued = pendingBets.filter(b => b.phone === phone);
+  pendingBets = pendingBets.filter(b => b.phone !== phone);
+  for (const bet of queued) {
+    await pool.query("UPDATE bets SET status = 'cancelled' WHERE id = $1 AND status = 'placed' AND round_id IS NULL", [bet.id]);
+  }
+  return queued.length;
+}
+
+// Continuous play is tracked in memory per player; a gap of
+// RG_PLAY_SESSION_GAP_MINUTES between rounds starts a new session.
+const playSessions = new Map();
+
+async function realityCheck(phone) {
+  const now = Date.now();
+  let session = playSessions.get(phone);
+  if (!session || now - session.lastPlayAt > RG_PLAY_SESSION_GAP_MINUTES * 60 * 1000) {
+    for (const [p, s] of playSessions) {
+      if (now - s.lastPlayAt > RG_PLAY_SESSION_GAP_MINUTES * 60 * 1000) playSessions.delete(p);
+    }
+    playSessions.set(phone, { startedAt: now, lastPlayAt: now, lastCheckAt: now });
+    return;
+  }
+  session.lastPlayAt = now;
+
+  const user = await pool.query('SELECT reality_check_minutes FROM users WHERE phone = $1', [phone]);
+  const minutes = (user.rows[0] && user.rows[0].reality_check_minutes) || RG_REALITY_CHECK_MINUTES;
+  if (now - session.lastCheckAt < minutes * 60 * 1000) return;
+  session.lastCheckAt = now;
+
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(CASE WHEN type = 'bet' THEN -amount ELSE amount END), 0) AS net FROM transactions
+     WHERE phone = $1 AND wallet = 'cash' AND type IN ('bet', 'win', 'bet_refund') AND status = 'success' AND created_at >= to_timestamp($2 / 1000.0)`,
+    [phone, session.startedAt]
+  );
+  const net = parseFloat(result.rows[0].net);
+  const played = Math.round((now - session.startedAt) / 60000);
+  await notify(pool, phone,
+    `Reality check: you have been playing for ${played} minutes. ` +
+    `Your result this session is ${net < 0 ? '-' : '+'}KSH ${Math.abs(net).toFixed(2)}.`);
+}
+
+app.get('/api/responsible-gambling', requireAuth, async (req, res) => {
+  try {
+    const limits = await loadLimits(req.phone);
+    const usage = await Promise.all(limits.map(l => limitUsage(req.phone, l.limit_type, l.period)));
+    const user = await pool.query(RESTRICTION_SQL, [req.phone]);
+    const u = user.rows[0];
+    res.json({
+      success: true,
+      limits: limits.map((l, i) => ({
+        type: l.limit_type,
+        period: l.period,
+        amount: parseFloat(l.amount),
+        used: Math.max(0, usage[i]),
+        remaining: Math.max(0, parseFloat(l.amount) - usage[i]),
+        pending_amount: l.pending_amount !== null ? parseFloat(l.pending_amount) : null,
+        pending_removal: l.pending_effective_at !== null && l.pending_amount === null,
+        pending_effective_at: l.pending_effective_at
+      })),
+      cool_off_until: u.cooling_off ? u.cool_off_until : null,
+      self_excluded: u.self_excluded,
+      self_excluded_until: u.self_excluded ? u.self_excluded_until : null,
+      reality_check_minutes: u.reality_check_minutes || RG_REALITY_CHECK_MINUTES
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error loading limits' });
+  }
+});
+
+// amount: null (or '') asks to remove the limit, which counts as an increase.
+app.post('/api/responsible-gambling/limits', requireAuth, async (req, res) => {
+  const { type, period, amount } = req.body;
+  if (!RG_LIMIT_TYPES.includes(type)) return res.status(400).json({ error: 'type must be deposit or loss' });
+  if (!RG_PERIODS[period]) return res.status(400).json({ error: 'period must be daily, weekly or monthly' });
+  const remove = amount === null || amount === undefined || amount === '';
+  const value = remove ? null : toCents(amount);
+  if (!remove && !(value > 0)) return res.status(400).json({ error: 'Limit must be a positive amount' });
+
+  try {
+    const limit = await withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM player_limits WHERE phone = $1 AND limit_type = $2 AND period = $3 FOR UPDATE',
+        [req.phone, type, period]
+      );
+      const existing = current.rows[0];
+
+      if (!existing) {
+        if (remove) return null;
+        const inserted = await client.query(
+          'INSERT INTO player_limits (phone, limit_type, period, amount) VALUES ($1, $2, $3, $4) RETURNING *',
+          [req.phone, type, period, value]
+        );
+        return inserted.rows[0];
+      }
+
+      if (!remove && value <= parseFloat(existing.amount)) {
+        const lowered = await client.query(
+          `UPDATE player_limits SET amount = $1, pending_amount = NULL, pending_effective_at = NULL, updated_at = NOW()
+           WHERE phone = $2 AND limit_type = $3 AND period = $4 RETURNING *`,
+          [value, req.phone, type, period]
+        );
+        return lowered.rows[0];
+      }
+
+      const delayed = await client.query(
+        `UPDATE player_limits SET pending_amount = $1, pending_effective_at = NOW() + $2 * INTERVAL '1 hour', updated_at = NOW()
+         WHERE phone = $3 AND limit_type = $4 AND period = $5 RETURNING *`,
+        [value, RG_LIMIT_INCREASE_HOURS, req.phone, type, period]
+      );
+      return delayed.rows[0];
+    });
+
+    res.json({
+      success: true,
+      limit: limit && {
+        type, period,
+        amount: parseFloat(limit.amount),
+        pending_amount: limit.pending_amount !== null ? parseFloat(limit.pending_amount) : null,
+        pending_effective_at: limit.pending_effective_at
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error saving limit' });
+  }
+});
+
+app.post('/api/responsible-gambling/cool-off', requireAuth, async (req, res) => {
+  const days = parseInt(req.body.days);
+  if (!(days >= 1 && days <= RG_MAX_COOL_OFF_DAYS))
+    return res.status(400).json({ error: `A break must last between 1 and ${RG_MAX_COOL_OFF_DAYS} days` });
+
+  try {
+    // A longer break already in force is never shortened
+    const updated = await pool.query(
+      `UPDATE users SET cool_off_until = GREATEST(COALESCE(cool_off_until, NOW()), NOW() + $1 * INTERVAL '1 day')
+       WHERE phone = $2 RETURNING cool_off_until`,
+      [days, req.phone]
+    );
+    const cancelled = await cancelQueuedBets(req.phone);
+    res.json({ success: true, cool_off_until: updated.rows[0].cool_off_until, cancelled_bets: cancelled });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error starting break' });
+  }
+});
+
+// Self-exclusion cannot be lifted early by the player, so it asks for the PIN.
+app.post('/api/responsible-gambling/self-exclude', requireAuth, async (req, res) => {
+  const { pin, permanent } = req.body;
+  const days = parseInt(req.body.days);
+  if (!permanent && !(days >= RG_MIN_SELF_EXCLUSION_DAYS))
+    return res.status(400).json({ error: `Self-exclusion lasts at least ${RG_MIN_SELF_EXCLUSION_DAYS} days` });
+
+  try {
+    const { user, lockedUntil } = await checkPin(req.phone, pin);
+    if (lockedUntil) return lockedResponse(res, lockedUntil);
+    if (!user) return res.status(401).json({ error: 'Incorrect PIN' });
+
+    const updated = await pool.query(
+      `UPDATE users SET self_excluded_at = NOW(),
+         self_excluded_until = CASE WHEN $1::boolean THEN NULL ELSE NOW() + $2 * INTERVAL '1 day' END
+       WHERE phone = $3 RETURNING self_excluded_until`,
+      [!!permanent, permanent ? 0 : days, req.phone]
+    );
+    await cancelQueuedBets(req.phone);
+    await revokeSessions(req.phone);
+    console.log(`🛑 ${req.phone} self-excluded ${permanent ? 'permanently' : `for ${days} days`}`);
+    res.json({ success: true, self_excluded_until: updated.rows[0].self_excluded_until, permanent: !!permanent });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error during self-exclusion' });
+  }
+});
+
+app.post('/api/responsible-gambling/reality-check', requireAuth, async (req, res) => {
+  const minutes = parseInt(req.body.minutes);
+  if (!(minutes >= 15 && minutes <= 240))
+    return res.status(400).json({ error: 'Reality check interval must be between 15 and 240 minutes' });
+  try {
+    await pool.query('UPDATE users SET reality_check_minutes = $1 WHERE phone = $2', [minutes, req.phone]);
+    res.json({ success: true, reality_check_minutes: minutes });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error saving reality check' });
+  }
+});
+
+app.get('/admin/responsible-gambling', requireAdmin('support', 'finance'), async (req, res) => {
+  const params = [];
+  let phoneFilter = '';
+  try {
+    if (req.query.phone) {
+      params.push(formatPhone(req.query.phone));
+      phoneFilter = 'AND u.phone = $1';
+    }
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.phone, u.cool_off_until, u.self_excluded_at, u.self_excluded_until, u.reality_check_minutes,
+              u.self_excluded_at IS NOT NULL AND (u.self_excluded_until IS NULL OR u.self_excluded_until > NOW()) AS self_excluded,
+              COALESCE(json_agg(json_build_object(
+                'type', l.limit_type, 'period', l.period, 'amount', l.amount,
+                'pending_amount', l.pending_amount, 'pending_effective_at', l.pending_effective_at, 'updated_at', l.updated_at
+              ) ORDER BY l.limit_type, l.period) FILTER (WHERE l.phone IS NOT NULL), '[]') AS limits
+       FROM users u LEFT JOIN player_limits l ON l.phone = u.phone
+       WHERE (l.phone IS NOT NULL OR u.cool_off_until > NOW() OR u.self_excluded_at IS NOT NULL OR u.reality_check_minutes IS NOT NULL)
+       ${phoneFilter}
+       GROUP BY u.id ORDER BY u.id DESC`,
+      params
+    );
+    res.json({ success: true, players: result.rows });
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+/* =========================
+   BONUSES & PROMOTIONS
+========================= */
+
+// Promotional money is kept apart from cash in users.bonus_balance. Stakes
+// are taken from cash first and then from bonus, and a win is paid back to
+// the two wallets in the same proportion. Every stake counts toward the
+// wagering requirement of the player's active grants (oldest first); once no
+// grant is left unmet the bonus balance converts to withdrawable cash. Grants
+// that expire first forfeit their amount. Free bets are tokens: the stake is
+// not charged and only the winnings (payout minus stake) are credited, as
+// bonus money under the free-bet promotion's wagering requirement.
+const PROMOTION_KINDS = ['deposit_match', 'free_bet', 'cashback'];
+const BONUS_EXPIRY_INTERVAL_MINUTES = parseInt(process.env.BONUS_EXPIRY_INTERVAL_MINUTES) || 10;
+
+// Credits a grant. Without a wagering requirement it is paid as cash.
+async function grantBonus(client, phone, promotion, amount, { kind = promotion.kind, type = 'bonus_grant', reference = null, notification = null } = {}) {
+  const value = toCents(amount);
+  const wagering = toCents(value * parseFloat(promotion.wagering_multiplier));
+  if (wagering <= 0) {
+    await walletPost(client, phone, value, type, { reference, notification });
+    return client.query(
+      `INSERT INTO player_bonuses (phone, promotion_id, kind, status, amount, source_reference, completed_at)
+       VALUES ($1, $2, $3, 'completed', $4, $5, NOW()) RETURNING *`,
+      [phone, promotion.id, kind, value, reference]
+    );
+  }
+  await walletPost(client, phone, value, type, { wallet: 'bonus', reference, notification });
+  return client.query(
+    `INSERT INTO player_bonuses (phone, promotion_id, kind, status, amount, wagering_required, source_reference, expires_at)
+     VALUES ($1, $2, $3, 'active', $4, $5, $6, NOW() + $7 * INTERVAL '1 day') RETURNING *`,
+    [phone, promotion.id, kind, value, wagering, reference, promotion.valid_days]
+  );
+}
+
+// Moves the whole bonus balance to cash once no active grant is left.
+async function convertBonusIfCleared(client, phone) {
+  const open = await client.query("SELECT 1 FROM player_bonuses WHERE phone = $1 AND status = 'active' LIMIT 1", [phone]);
+  if (open.rows.length > 0) return;
+  const user = await client.query('SELECT bonus_balance FROM users WHERE phone = $1 FOR UPDATE', [phone]);
+  const amount = toCents(user.rows[0].bonus_balance);
+  if (amount <= 0) return;
+  await walletPost(client, phone, -amount, 'bonus_conversion', { wallet: 'bonus' });
+  await walletPost(client, phone, amount, 'bonus_conversion', {
+    notification: `Wagering complete: KSH ${amount.toFixed(2)} bonus has been moved to your withdrawable balance.`
+  });
+}
+
+async function recordWagering(client, phone, stake) {
+  const grants = await client.query(
+    "SELECT * FROM player_bonuses WHERE phone = $1 AND status = 'active' ORDER BY id FOR UPDATE", [phone]
+  );
+  if (grants.rows.length === 0) return;
+  let left = stake;
+  for (const grant of grants.rows) {
+    if (left <= 0) break;
+    const take = Math.min(left, toCents(grant.wagering_required - grant.wagered));
+    left = toCents(left - take);
+    await client.query(
+      `UPDATE player_bonuses SET wagered = wagered + $1,
+         status = CASE WHEN wagered + $1 >= wagering_required THEN 'completed' ELSE status END,
+         completed_at = CASE WHEN wagered + $1 >= wagering_required THEN NOW() ELSE completed_at END
+       WHERE id = $2`,
+      [take, grant.id]
+    );
+  }
+  await convertBonusIfCleared(client, phone);
+}
+
+// Charges the stake of a bet being activated for a round: cash first, then
+// bonus, or a free-bet token. Records the split on the bet.
+async function debitStake(client, bet) {
+  if (bet.freeBetId) {
+    const token = await client.query(
+      "UPDATE player_bonuses SET status = 'used', completed_at = NOW() WHERE id = $1 AND phone = $2 AND status = 'available' RETURNING id",
+      [bet.freeBetId, bet.phone]
+    );
+    if (token.rows.length === 0) throw new WalletError('Free bet is no longer available');
+    bet.cashStake = 0;
+    bet.bonusStake = 0;
+  } else {
+    const user = await client.query('SELECT balance, bonus_balance FROM users WHERE phone = $1 FOR UPDATE', [bet.phone]);
+    if (user.rows.length === 0) throw new WalletError('User not found', 404);
+    bet.cashStake = Math.min(bet.amount, Math.max(0, toCents(user.rows[0].balance)));
+    bet.bonusStake = toCents(bet.amount - bet.cashStake);
+    if (bet.bonusStake > toCents(user.rows[0].bonus_balance)) throw new WalletError('Insufficient balance');
+    if (bet.cashStake > 0) await walletPost(client, bet.phone, -bet.cashStake, 'bet', { reference: `bet-${bet.id}` });
+    if (bet.bonusStake > 0) await walletPost(client, bet.phone, -bet.bonusStake, 'bet', { wallet: 'bonus', reference: `bet-${bet.id}` });
+    await recordWagering(client, bet.phone, bet.amount);
+  }
+  await client.query('UPDATE bets SET cash_stake = $1, bonus_stake = $2 WHERE id = $3', [bet.cashStake, bet.bonusStake, bet.id]);
+}
+
+// Pays a win back in proportion to how the stake was funded. Returns the
+// player's balances afterwards.
+async function creditWin(client, bet, winAmount) {
+  let cashWin = 0;
+  let bonusWin = 0;
+  if (bet.freeBetId) {
+    const winnings = toCents(winAmount - bet.amount);
+    if (winnings > 0) {
+      const token = await client.query(
+        'SELECT p.* FROM player_bonuses b JOIN promotions p ON p.id = b.promotion_id WHERE b.id = $1', [bet.freeBetId]
+      );
+      await grantBonus(client, bet.phone, token.rows[0], winnings, { kind: 'free_bet_winnings', type: 'win', reference: `bet-${bet.id}` });
+      if (toCents(winnings * parseFloat(token.rows[0].wagering_multiplier)) > 0) bonusWin = winnings;
+      else cashWin = winnings;
+    }
+  } else {
+    cashWin = bet.bonusStake > 0 ? toCents(winAmount * bet.cashStake / bet.amount) : winAmount;
+    bonusWin = toCents(winAmount - cashWin);
+    if (cashWin > 0) await walletPost(client, bet.phone, cashWin, 'win', { reference: `bet-${bet.id}` });
+    if (bonusWin > 0) {
+      await walletPost(client, bet.phone, bonusWin, 'win', { wallet: 'bonus', reference: `bet-${bet.id}` });
+      // The stake may already have cleared the last wagering requirement
+      await convertBonusIfCleared(client, bet.phone);
+    }
+  }
+  await client.query('UPDATE bets SET cash_win = $1, bonus_win = $2 WHERE id = $3', [cashWin, bonusWin, bet.id]);
+  const user = await client.query('SELECT balance, bonus_balance FROM users WHERE phone = $1', [bet.phone]);
+  return { balance: parseFloat(user.rows[0].balance), bonusBalance: parseFloat(user.rows[0].bonus_balance) };
+}
+
+// Returns a voided bet's stake (a bets row) to the wallets it came from, or
+// makes its free bet available again. Bets from before the bonus wallet have
+// no split recorded and were all cash.
+async function refundStake(client, bet, reference) {
+  if (bet.free_bet_id) {
+    await client.query("UPDATE player_bonuses SET status = 'available', completed_at = NULL WHERE id = $1 AND status = 'used'", [bet.free_bet_id]);
+    return;
+  }
+  const cash = bet.cash_stake !== null ? parseFloat(bet.cash_stake) : parseFloat(bet.amount);
+  const bonus = bet.bonus_stake !== null ? parseFloat(bet.bonus_stake) : 0;
+  if (cash > 0) await walletPost(client, bet.phone, cash, 'bet_refund', { reference });
+  if (bonus > 0) {
+    await walletPost(client, bet.phone, bonus, 'bet_refund', { wallet: 'bonus', reference });
+    await convertBonusIfCleared(client, bet.phone);
+  }
+}
+
+// Runs inside settleDeposit: a deposit-match claim waiting for a deposit is
+// granted on the first deposit that reaches its minimum.
+async function applyDepositMatch(client, phone, amount, reference) {
+  const claim = await client.query(
+    `SELECT b.id AS claim_id, p.* FROM player_bonuses b JOIN promotions p ON p.id = b.promotion_id
+     WHERE b.phone = $1 AND b.status = 'awaiting_deposit' AND (b.expires_at IS NULL OR b.expires_at > NOW())
+       AND $2 >= COALESCE(p.min_deposit, 0)
+     ORDER BY b.id LIMIT 1 FOR UPDATE OF b`,
+    [phone, amount]
+  );
+  if (claim.rows.length === 0) return;
+  const promotion = claim.rows[0];
+  let bonus = toCents(amount * parseFloat(promotion.match_rate));
+  if (promotion.max_bonus !== null) bonus = Math.min(bonus, parseFloat(promotion.max_bonus));
+
+  await client.query('DELETE FROM player_bonuses WHERE id = $1', [promotion.claim_id]);
+  await grantBonus(client, phone, promotion, bonus, {
+    reference,
+    notification: `You received a KSH ${bonus.toFixed(2)} deposit bonus from "${promotion.name}".`
+  });
+}
+
+// Cash the player has lost over the cashback window since their last claim
+async function cashbackBase(db, phone, promotion) {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(CASE WHEN type = 'bet' THEN amount ELSE -amount END), 0) AS loss FROM transactions
+     WHERE phone = $1 AND wallet = 'cash' AND type IN ('bet', 'win', 'bet_refund') AND status = 'success'
+       AND created_at >= NOW() - $2 * INTERVAL '1 day'
+       AND created_at > COALESCE((SELECT MAX(created_at) FROM player_bonuses WHERE phone = $1 AND promotion_id = $3), 'epoch')`,
+    [phone, promotion.cashback_days || 7, promotion.id]
+  );
+  return Math.max(0, parseFloat(result.rows[0].loss));
+}
+
+async function expireBonuses() {
+  await pool.query(
+    "UPDATE player_bonuses SET status = 'expired' WHERE status IN ('awaiting_deposit', 'available') AND expires_at <= NOW()"
+  );
+  const lapsed = await pool.query("SELECT * FROM player_bonuses WHERE status = 'active' AND expires_at <= NOW()");
+  for (const grant of lapsed.rows) {
+    try {
+      await withTransaction(async (client) => {
+        const current = await client.query("SELECT * FROM player_bonuses WHERE id = $1 AND status = 'active' FOR UPDATE", [grant.id]);
+        if (current.rows.length === 0) return;
+        await client.query("UPDATE player_bonuses SET status = 'expired' WHERE id = $1", [grant.id]);
+        const user = await client.query('SELECT bonus_balance FROM users WHERE phone = $1 FOR UPDATE', [grant.phone]);
+        const forfeit = Math.min(toCents(user.rows[0].bonus_balance), parseFloat(grant.amount));
+        if (forfeit > 0) {
+          await walletPost(client, grant.phone, -forfeit, 'bonus_forfeit', {
+            wallet: 'bonus',
+            reference: `bonus-${grant.id}`,
+            notification: `Your KSH ${parseFloat(grant.amount).toFixed(2)} bonus expired before its wagering requirement was met.`
+          });
+        }
+        await convertBonusIfCleared(client, grant.phone);
+      });
+    } catch (e) {
+      console.error(`Error expiring bonus ${grant.id}:`, e.message);
+    }
+  }
+}
+
+function startBonusExpiry() {
+  setInterval(() => {
+    expireBonuses().catch(e => console.error("Error expiring bonuses:", e.message));
+  }, BONUS_EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+}
+
+const CLAIMABLE_PROMOTIONS_SQL = `
+  SELECT p.*, (SELECT COUNT(*) FROM player_bonuses b WHERE b.promotion_id = p.id AND b.phone = $1)::int AS claimed
+  FROM promotions p
+  WHERE p.active AND (p.starts_at IS NULL OR p.starts_at <= NOW()) AND (p.ends_at IS NULL OR p.ends_at > NOW())`;
+
+app.get('/api/promotions', requireAuth, async (req, res) => {
+  try {
+    const promotions = await pool.query(CLAIMABLE_PROMOTIONS_SQL + ' ORDER BY p.id DESC', [req.phone]);
+    res.json({
+      success: true,
+      promotions: promotions.rows.map(p => ({
+        id: p.id,
+        name: p.name,
+        description: p.description,
+        kind: p.kind,
+        match_rate: p.match_rate !== null ? parseFloat(p.match_rate) : null,
+        min_deposit: p.min_deposit !== null ? parseFloat(p.min_deposit) : null,
+        free_bet_amount: p.free_bet_amount !== null ? parseFloat(p.free_bet_amount) : null,
+        cashback_rate: p.cashback_rate !== null ? parseFloat(p.cashback_rate) : null,
+        max_bonus: p.max_bonus !== null ? parseFloat(p.max_bonus) : null,
+        wagering_multiplier: parseFloat(p.wagering_multiplier),
+        valid_days: p.valid_days,
+        ends_at: p.ends_at,
+        claimable: p.max_claims === null || p.claimed < p.max_claims
+      }))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error loading promotions' });
+  }
+});
+
+app.post('/api/promotions/:id/claim', requireAuth, async (req, res) => {
+  try {
+    const restriction = await playRestriction(req.phone);
+    if (restriction) return res.status(403).json({ error: restriction.message, code: restriction.error });
+
+    // The player's row is locked first so two claims at once cannot both pass
+    // the max_claims and pending-deposit checks
+    const claim = await withTransaction(async (client) => {
+      const user = await client.query('SELECT 1 FROM users WHERE phone = $1 FOR UPDATE', [req.phone]);
+      if (user.rows.length === 0) throw new WalletError('User not found', 404);
+
+      const found = await client.query(CLAIMABLE_PROMOTIONS_SQL + ' AND p.id = $2', [req.phone, req.params.id]);
+      if (found.rows.length === 0) throw new WalletError('Promotion not found or not running', 404);
+      const promotion = found.rows[0];
+      if (promotion.max_claims !== null && promotion.claimed >= promotion.max_claims)
+        throw new WalletError('You have already claimed this promotion');
+
+      if (promotion.kind === 'deposit_match') {
+        const pending = await client.query(
+          "SELECT 1 FROM player_bonuses WHERE phone = $1 AND status = 'awaiting_deposit' AND expires_at > NOW()", [req.phone]
+        );
+        if (pending.rows.length > 0) throw new WalletError('You already have a deposit bonus waiting for a deposit');
+        return client.query(
+          `INSERT INTO player_bonuses (phone, promotion_id, kind, status, expires_at)
+           VALUES ($1, $2, 'deposit_match', 'awaiting_deposit', NOW() + $3 * INTERVAL '1 day') RETURNING *`,
+          [req.phone, promotion.id, promotion.valid_days]
+        );
+      }
+      if (promotion.kind === 'free_bet') {
+        return client.query(
+          `INSERT INTO player_bonuses (phone, promotion_id, kind, status, amount, expires_at)
+           VALUES ($1, $2, 'free_bet', 'available', $3, NOW() + $4 * INTERVAL '1 day') RETURNING *`,
+          [req.phone, promotion.id, promotion.free_bet_amount, promotion.valid_days]
+        );
+      }
+      let amount = toCents(await cashbackBase(client, req.phone, promotion) * parseFloat(promotion.cashback_rate));
+      if (promotion.max_bonus !== null) amount = Math.min(amount, parseFloat(promotion.max_bonus));
+      if (!(amount > 0)) throw new WalletError('No net losses to pay cashback on');
+      return grantBonus(client, req.phone, promotion, amount, {
+        reference: `promotion-${promotion.id}`,
+        notification: `You received KSH ${amount.toFixed(2)} cashback from "${promotion.name}".`
+      });
+    });
+
+    res.json({ success: true, bonus: claim.rows[0] });
+  } catch (err) {
+    if (err instanceof WalletError) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error claiming promotion' });
+  }
+});
+
+app.get('/api/bonuses', requireAuth, async (req, res) => {
+  try {
+    const user = await pool.query('SELECT balance, bonus_balance FROM users WHERE phone = $1', [req.phone]);
+    if (user.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const bonuses = await pool.query(
+      `SELECT b.id, b.kind, b.status, b.amount, b.wagering_required, b.wagered, b.expires_at, b.created_at, p.name AS promotion
+       FROM player_bonuses b LEFT JOIN promotions p ON p.id = b.promotion_id
+       WHERE b.phone = $1 ORDER BY b.id DESC LIMIT 100`,
+      [req.phone]
+    );
+    res.json({
+      success: true,
+      balance: parseFloat(user.rows[0].balance),
+      bonus_balance: parseFloat(user.rows[0].bonus_balance),
+      bonuses: bonuses.rows,
+      free_bets: bonuses.rows.filter(b => b.kind === 'free_bet' && b.status === 'available')
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error loading bonuses' });
+  }
+});
+
+const PROMOTION_FIELDS = ['name', 'description', 'kind', 'match_rate', 'min_deposit', 'free_bet_amount', 'cashback_rate', 'cashback_days',
+  'max_bonus', 'wagering_multiplier', 'valid_days', 'max_claims', 'starts_at', 'ends_at', 'active'];
+
+// Returns { promotion } with the fields its kind needs checked, or { error }.
+function parsePromotion(body, current = {}) {
+  const p = { ...current };
+  for (const field of PROMOTION_FIELDS) {
+    if (body[field] !== undefined) p[field] = body[field] === '' ? null : body[field];
+  }
+  if (!p.name) return { error: 'name is required' };
+  if (!PROMOTION_KINDS.includes(p.kind)) return { error: 'kind must be deposit_match, free_bet or cashback' };
+  const required = { deposit_match: ['match_rate'], free_bet: ['free_bet_amount'], cashback: ['cashback_rate', 'cashback_days'] }[p.kind];
+  for (const field of ['match_rate', 'min_deposit', 'free_bet_amount', 'cashback_rate', 'cashback_days', 'max_bonus', 'max_claims']) {
+    if (p[field] === null || p[field] === undefined) {
+      if (required.includes(field)) return { error: `${field} is required for ${p.kind}` };
+      p[field] = null;
+      continue;
+    }
+    p[field] = parseFloat(p[field]);
+    if (!(p[field] > 0)) return { error: `${field} must be positive` };
+  }
+  if (p.cashback_rate !== null && p.cashback_rate >= 1) return { error: 'cashback_rate must be below 1' };
+  p.wagering_multiplier = parseFloat(p.wagering_multiplier || 0);
+  if (!(p.wagering_multiplier >= 0)) return { error: 'wagering_multiplier must be zero or more' };
+  p.valid_days = parseInt(p.valid_days || 7);
+  if (!(p.valid_days >= 1)) return { error: 'valid_days must be at least 1' };
+  p.active = p.active === undefined ? true : !!p.active;
+  return { promotion: p };
+}
+
+async function savePromotion(client, p, id = null) {
+  const values = PROMOTION_FIELDS.map(f => p[f] === undefined ? null : p[f]);
+  const saved = id === null
+    ? await client.query(
+      `INSERT INTO promotions (${PROMOTION_FIELDS.join(', ')}) VALUES (${PROMOTION_FIELDS.map((f, i) => '$' + (i + 1)).join(', ')}) RETURNING *`,
+      values)
+    : await client.query(
+      `UPDATE promotions SET ${PROMOTION_FIELDS.map((f, i) => `${f} = $${i + 1}`).join(', ')} WHERE id = $${PROMOTION_FIELDS.length + 1} RETURNING *`,
+      [...values, id]);
+  return saved.rows[0];
+}
+
+app.get('/admin/promotions', requireAdmin('finance'), async (req, res) => {
+  try {
+    const promotions = await pool.query(
+      `SELECT p.*, COUNT(b.id)::int AS claims,
+              COALESCE(SUM(b.amount) FILTER (WHERE b.kind <> 'free_bet'), 0) AS granted,
+              COUNT(b.id) FILTER (WHERE b.status = 'active')::int AS active_grants
+       FROM promotions p LEFT JOIN player_bonuses b ON b.promotion_id = p.id
+       GROUP BY p.id ORDER BY p.id DESC`
+    );
+    res.json({success: true, promotions: promotions.rows});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/promotions', requireAdmin('finance'), async (req, res) => {
+  const { promotion, error } = parsePromotion(req.body);
+  if (error) return res.status(400).json({error});
+  try {
+    const saved = await withTransaction(async (client) => {
+      const created = await savePromotion(client, promotion);
+      await auditLog(client, req, { action: 'promotion.create', targetType: 'promotion', targetId: created.id, after: created });
+      return created;
+    });
+    res.json({success: true, promotion: saved});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/promotions/:id', requireAdmin('finance'), async (req, res) => {
+  try {
+    const saved = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM promotions WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (current.rows.length === 0) throw new WalletError('Promotion not found', 404);
+      const { promotion, error } = parsePromotion(req.body, current.rows[0]);
+      if (error) throw new WalletError(error);
+      const updated = await savePromotion(client, promotion, current.rows[0].id);
+      await auditLog(client, req, { action: 'promotion.update', targetType: 'promotion', targetId: updated.id, before: current.rows[0], after: updated });
+      return updated;
+    });
+    res.json({success: true, promotion: saved});
+  } catch(e) {
+    if (e instanceof WalletError) return res.status(e.status).json({error: e.message});
+    res.status(500).json({error: e.message});
+  }
+});
+
+/* =========================
+   REFERRAL SYSTEM
+========================= */
+
+// Referral programs, campaign codes and per-referral earnings. The signup
+// bonus and any commissions are recorded as pending earnings and only paid
+// once the referred player's deposits reach the program's qualifying
+// threshold, and never while the referral is flagged for review.
+//
+// Self-referral checks: the referred player signing up on the referrer's
+// device or on a device another of their referrals used, and phone numbers
+// from the same block of 1000 (SIM cards bought together) as the referrer or
+// as REFERRAL_CLUSTER_SIZE of their referrals.
+const REFERRAL_PHONE_BLOCK_DIGITS = 9;
+const REFERRAL_CLUSTER_SIZE = parseInt(process.env.REFERRAL_CLUSTER_SIZE) || 3;
+const REFERRAL_MAX_LEVELS = 5;
+
+function phoneBlock(phone) {
+  return String(phone).slice(0, REFERRAL_PHONE_BLOCK_DIGITS);
+}
+
+// A signup code is either a campaign code or, as in the original ?ref= links,
+// the referrer's username, which signs the player up to the default program.
+async function resolveReferralCode(db, rawCode) {
+  const code = String(rawCode).trim();
+  const campaign = await db.query(
+    `SELECT c.code, c.program_id, c.owner_phone,
+            c.active AND p.active AND (c.expires_at IS NULL OR c.expires_at > NOW())
+              AND (c.max_uses IS NULL OR c.uses < c.max_uses) AS usable
+     FROM referral_codes c JOIN referral_programs p ON p.id = c.program_id
+     WHERE c.code = UPPER($1)`,
+    [code]
+  );
+  if (campaign.rows.length > 0) {
+    const c = campaign.rows[0];
+    return c.usable ? { code: c.code, programId: c.program_id, referrerPhone: c.owner_phone } : null;
+  }
+
+  const referrer = await db.query('SELECT phone FROM users WHERE username = $1', [code]);
+  const program = await db.query('SELECT id FROM referral_programs WHERE is_default AND active');
+  if (referrer.rows.length === 0 || program.rows.length === 0) return null;
+  return { code, programId: program.rows[0].id, referrerPhone: referrer.rows[0].phone };
+}
+
+async function referralFlags(db, referrerPhone, referredPhone, deviceId) {
+  if (!referrerPhone) return [];
+  const flags = [];
+
+  if (deviceId) {
+    const referrer = await db.query('SELECT signup_device_id FROM users WHERE phone = $1', [referrerPhone]);
+    if (referrer.rows.length > 0 && referrer.rows[0].signup_device_id === deviceId) flags.push('same_device_as_referrer');
+    const shared = await db.query(
+      `SELECT COUNT(*) FROM referrals r JOIN users u ON u.phone = r.referred_phone
+       WHERE r.referrer_phone = $1 AND u.signup_device_id = $2`,
+      [referrerPhone, deviceId]
+    );
+    if (parseInt(shared.rows[0].count) > 0) flags.push('device_shared_with_other_referral');
+  }
+
+  if (phoneBlock(referrerPhone) === phoneBlock(referredPhone)) flags.push('phone_cluster_with_referrer');
+  const cluster = await db.query(
+    'SELECT COUNT(*) FROM referrals WHERE referrer_phone = $1 AND LEFT(referred_phone, $2) = $3',
+    [referrerPhone, REFERRAL_PHONE_BLOCK_DIGITS, phoneBlock(referredPhone)]
+  );
+  if (parseInt(cluster.rows[0].count) + 1 >= REFERRAL_CLUSTER_SIZE) flags.push('phone_cluster_across_referrals');
+
+  return flags;
+}
+
+// Called inside the signup transaction, after the user row is inserted.
+async function createReferral(client, referredPhone, resolved, deviceId) {
+  const flags = await referralFlags(client, resolved.referrerPhone, referredPhone, deviceId);
+  const inserted = await client.query(
+    `INSERT INTO referrals (referred_phone, referrer_phone, code, program_id, flagged, flag_reasons)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [referredPhone, resolved.referrerPhone, resolved.code, resolved.programId, flags.length > 0, JSON.stringify(flags)]
+  );
+  await client.query('UPDATE referral_codes SET uses = uses + 1 WHERE code = $1', [resolved.code]);
+  if (flags.length > 0) console.warn(`🚩 Referral of ${referredPhone} by ${resolved.referrerPhone} flagged: ${flags.join(', ')}`);
+
+  const program = await client.query('SELECT signup_bonus FROM referral_programs WHERE id = $1', [resolved.programId]);
+  const bonus = parseFloat(program.rows[0].signup_bonus);
+  if (resolved.referrerPhone && bonus > 0) {
+    await client.query(
+      "INSERT INTO referral_earnings (referral_id, earner_phone, kind, amount) VALUES ($1, $2, 'bonus', $3)",
+      [inserted.rows[0].id, resolved.referrerPhone, bonus]
+    );
+  }
+
+  // A program without a qualifying deposit pays the bonus straight away
+  const referral = await qualifyReferral(client, inserted.rows[0]);
+  await releaseReferralEarnings(client, referral);
+}
+
+async function qualifyReferral(client, referral) {
+  if (referral.status !== 'pending') return referral;
+  const deposits = await client.query(
+    "SELECT COALESCE(SUM(amount), 0) AS total FROM transactions WHERE phone = $1 AND type = 'deposit' AND status = 'success'",
+    [referral.referred_phone]
+  );
+  const program = await client.query('SELECT qualifying_deposit FROM referral_programs WHERE id = $1', [referral.program_id]);
+  if (parseFloat(deposits.rows[0].total) < parseFloat(program.rows[0].qualifying_deposit)) return referral;
+
+  const updated = await client.query(
+    "UPDATE referrals SET status = 'qualified', qualified_at = NOW() WHERE id = $1 RETURNING *", [referral.id]
+  );
+  return updated.rows[0];
+}
+
+async function releaseReferralEarnings(client, referral) {
+  if (referral.status !== 'qualified' || referral.flagged) return;
+  const held = await client.query(
+    "SELECT * FROM referral_earnings WHERE referral_id = $1 AND status = 'pending' ORDER BY id FOR UPDATE", [referral.id]
+  );
+  if (held.rows.length === 0) return;
+
+  const referred = await client.query('SELECT username FROM users WHERE phone = $1', [referral.referred_phone]);
+  const name = referred.rows.length > 0 ? referred.rows[0].username : 'a friend';
+  for (const earning of held.rows) {
+    const amount = parseFloat(earning.amount);
+    const { transactionId } = await walletPost(client, earning.earner_phone, amount,
+      earning.kind === 'bonus' ? 'referral_bonus' : 'referral_commission', {
+        reference: `referral-earning-${earning.id}`,
+        notification: earning.kind === 'bonus'
+          ? `You received KSH ${amount.toFixed(2)} for referring ${name}.`
+          : `You received KSH ${amount.toFixed(2)} commission from ${name}'s deposit.`
+      });
+    await client.query(
+      "UPDATE referral_earnings SET status = 'paid', transaction_id = $1, paid_at = NOW() WHERE id = $2",
+      [transactionId, earning.id]
+    );
+  }
+}
+
+// Runs inside settleDeposit once the deposit has been credited. Commission is
+// earned on deposits from the qualifying one on, within the program's window
+// and cap; upstream tiers earn on the same deposit at their own rates.
+async function applyReferralDeposit(client, phone, amount, reference) {
+  const found = await client.query(
+    `SELECT r.*, p.commission_rate, p.commission_cap, p.tiers,
+            p.commission_days IS NULL OR r.created_at + p.commission_days * INTERVAL '1 day' > NOW() AS commission_open
+     FROM referrals r JOIN referral_programs p ON p.id = r.program_id
+     WHERE r.referred_phone = $1 FOR UPDATE OF r`,
+    [phone]
+  );
+  if (found.rows.length === 0 || found.rows[0].status === 'rejected') return;
+  const program = found.rows[0];
+  const referral = await qualifyReferral(client, found.rows[0]);
+
+  if (referral.status === 'qualified' && program.commission_open) {
+    const rates = [program.commission_rate, ...program.tiers].map(r => parseFloat(r)).slice(0, REFERRAL_MAX_LEVELS);
+    const seen = new Set([phone]);
+    let earner = referral.referrer_phone;
+    for (let level = 1; level <= rates.length && earner && !seen.has(earner); level++) {
+      seen.add(earner);
+      let commission = toCents(amount * rates[level - 1]);
+      if (program.commission_cap !== null) {
+        const earned = await client.query(
+          `SELECT COALESCE(SUM(amount), 0) AS total FROM referral_earnings
+           WHERE referral_id = $1 AND earner_phone = $2 AND kind = 'commission' AND status <> 'void'`,
+          [referral.id, earner]
+        );
+        commission = Math.min(commission, toCents(parseFloat(program.commission_cap) - parseFloat(earned.rows[0].total)));
+      }
+      if (commission > 0) {
+        await client.query(
+          `INSERT INTO referral_earnings (referral_id, earner_phone, kind, level, amount, source_reference)
+           VALUES ($1, $2, 'commission', $3, $4, $5)`,
+          [referral.id, earner, level, commission, reference]
+        );
+      }
+      const upstream = await client.query('SELECT referrer_phone FROM referrals WHERE referred_phone = $1', [earner]);
+      earner = upstream.rows.length > 0 ? upstream.rows[0].referrer_phone : null;
+    }
+  }
+
+  await releaseReferralEarnings(client, referral);
+}
+
+app.get('/api/referrals', requireAuth, async (req, res) => {
+  const formattedPhone = req.phone;
+
+  try {
+    const userResult = await pool.query('SELECT username, referral_code FROM users WHERE phone = $1', [formattedPhone]);
+    if (userResult.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    
+    const user = userResult.rows[0];
+    
+    // Direct referrals plus any further down the tree this user earns from
+    const referralsResult = await pool.query(
+      `SELECT r.id, u.username, r.created_at, r.status, r.flagged, r.qualified_at,
+              CASE WHEN r.referrer_phone = $1 THEN 1 ELSE MIN(e.level) END AS level,
+              (SELECT COALESCE(SUM(t.amount), 0) FROM transactions t
+               WHERE t.phone = r.referred_phone AND t.type = 'deposit' AND t.status = 'success') AS deposits,
+              COALESCE(SUM(e.amount) FILTER (WHERE e.status = 'pending'), 0) AS pending,
+              COALESCE(SUM(e.amount) FILTER (WHERE e.status = 'paid'), 0) AS paid
+       FROM referrals r
+       LEFT JOIN users u ON u.phone = r.referred_phone
+       LEFT JOIN referral_earnings e ON e.referral_id = r.id AND e.earner_phone = $1
+       WHERE r.referrer_phone = $1 OR r.id IN (SELECT referral_id FROM referral_earnings WHERE earner_phone = $1)
+       GROUP BY r.id, u.username
+       ORDER BY r.created_at DESC`,
+      [formattedPhone]
+    );
+    const referrals = referralsResult.rows.map(r => ({
+      username: r.username,
+      created_at: r.created_at,
+      level: r.level,
+      status: r.status,
+      under_review: r.flagged,
+      qualified_at: r.qualified_at,
+      deposits: parseFloat(r.deposits),
+      pending: parseFloat(r.pending),
+      paid: parseFloat(r.paid)
+    }));
+    
+    // Includes referral payments made before per-referral earnings were tracked
+    const earningsResult = await pool.query(
+      "SELECT SUM(amount) as total_earned FROM transactions WHERE phone = $1 AND type IN ('referral_bonus', 'referral_commission') AND status = 'success'",
+      [formattedPhone]
+    );
+    const direct = referrals.filter(r => r.level === 1);
+    
     res.json({
       success: true,
       referred_by: user.referral_code,
       referral_link: `https://swiftcrash.com/?ref=${user.username}`,
-      referrals: referredUsersResult.rows,
-      active_referrals: referredUsersResult.rows.length,
-      total_deposits: totalDeposits,
+      referrals,
+      active_referrals: direct.filter(r => r.status === 'qualified').length,
+      total_deposits: direct.reduce((sum, r) => sum + r.deposits, 0),
+      total_pending: toCents(referrals.reduce((sum, r) => sum + r.pending, 0)),
+      total_paid: toCents(referrals.reduce((sum, r) => sum + r.paid, 0)),
       total_earned: parseFloat(earningsResult.rows[0].total_earned || 0)
     });
 
@@ -660,38 +2991,695 @@ app.get('/api/referrals', async (req, res) => {
   }
 });
 
+const REFERRAL_PROGRAM_FIELDS = ['name', 'signup_bonus', 'qualifying_deposit', 'commission_rate', 'commission_days', 'commission_cap', 'tiers', 'is_default', 'active'];
+
+// Returns { program } with normalised values, or { error }.
+function parseReferralProgram(body, current = {}) {
+  const program = { ...current };
+  for (const field of REFERRAL_PROGRAM_FIELDS) {
+    if (body[field] !== undefined) program[field] = body[field];
+  }
+  if (!program.name || typeof program.name !== 'string') return { error: 'name is required' };
+  for (const field of ['signup_bonus', 'qualifying_deposit']) {
+    program[field] = parseFloat(program[field] || 0);
+    if (!(program[field] >= 0)) return { error: `${field} must be zero or more` };
+  }
+  program.commission_rate = parseFloat(program.commission_rate || 0);
+  if (!(program.commission_rate >= 0 && program.commission_rate < 1)) return { error: 'commission_rate must be between 0 and 1' };
+  for (const field of ['commission_days', 'commission_cap']) {
+    if (program[field] === null || program[field] === undefined || program[field] === '') { program[field] = null; continue; }
+    program[field] = parseFloat(program[field]);
+    if (!(program[field] > 0)) return { error: `${field} must be positive or null` };
+  }
+  program.tiers = Array.isArray(program.tiers) ? program.tiers.map(t => parseFloat(t)) : [];
+  if (program.tiers.length > REFERRAL_MAX_LEVELS - 1 || program.tiers.some(t => !(t >= 0 && t < 1)))
+    return { error: `tiers must be up to ${REFERRAL_MAX_LEVELS - 1} rates between 0 and 1` };
+  program.is_default = !!program.is_default;
+  program.active = program.active === undefined ? true : !!program.active;
+  return { program };
+}
+
+async function saveReferralProgram(client, program, id = null) {
+  // Only one program can be the default for username links
+  if (program.is_default) await client.query('UPDATE referral_programs SET is_default = false WHERE is_default AND id IS DISTINCT FROM $1', [id]);
+  const values = [program.name, program.signup_bonus, program.qualifying_deposit, program.commission_rate,
+    program.commission_days, program.commission_cap, JSON.stringify(program.tiers), program.is_default, program.active];
+  const saved = id === null
+    ? await client.query(
+      `INSERT INTO referral_programs (name, signup_bonus, qualifying_deposit, commission_rate, commission_days, commission_cap, tiers, is_default, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`, values)
+    : await client.query(
+      `UPDATE referral_programs SET name = $1, signup_bonus = $2, qualifying_deposit = $3, commission_rate = $4, commission_days = $5,
+         commission_cap = $6, tiers = $7, is_default = $8, active = $9 WHERE id = $10 RETURNING *`, [...values, id]);
+  return saved.rows[0];
+}
+
+app.get('/admin/referral-programs', requireAdmin('finance'), async (req, res) => {
+  try {
+    const programs = await pool.query(
+      `SELECT p.*, (SELECT COUNT(*) FROM referrals r WHERE r.program_id = p.id) AS referrals,
+              (SELECT json_agg(c.* ORDER BY c.created_at) FROM referral_codes c WHERE c.program_id = p.id) AS codes
+       FROM referral_programs p ORDER BY p.id`
+    );
+    res.json({success: true, programs: programs.rows});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/referral-programs', requireAdmin('finance'), async (req, res) => {
+  const { program, error } = parseReferralProgram(req.body);
+  if (error) return res.status(400).json({error});
+  try {
+    const saved = await withTransaction(async (client) => {
+      const created = await saveReferralProgram(client, program);
+      await auditLog(client, req, { action: 'referral_program.create', targetType: 'referral_program', targetId: created.id, after: created });
+      return created;
+    });
+    res.json({success: true, program: saved});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/referral-programs/:id', requireAdmin('finance'), async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM referral_programs WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (current.rows.length === 0) throw new WalletError('Program not found', 404);
+      const { program, error } = parseReferralProgram(req.body, current.rows[0]);
+      if (error) throw new WalletError(error);
+      const saved = await saveReferralProgram(client, program, current.rows[0].id);
+      await auditLog(client, req, { action: 'referral_program.update', targetType: 'referral_program', targetId: saved.id, before: current.rows[0], after: saved });
+      return saved;
+    });
+    res.json({success: true, program: result});
+  } catch(e) {
+    if (e instanceof WalletError) return res.status(e.status).json({error: e.message});
+    res.status(500).json({error: e.message});
+  }
+});
+
+// Campaign codes are stored upper-case and matched case-insensitively. An
+// owner phone makes it an affiliate code whose owner earns the rewards.
+app.post('/admin/referral-codes', requireAdmin('finance'), async (req, res) => {
+  const { code, programId, ownerPhone, maxUses, expiresAt, active } = req.body;
+  if (!code || !/^[A-Za-z0-9_-]{3,32}$/.test(code)) return res.status(400).json({error: 'code must be 3-32 letters, digits, _ or -'});
+  try {
+    const owner = ownerPhone ? formatPhone(ownerPhone) : null;
+    if (ownerPhone && !owner) return res.status(400).json({error: 'Invalid owner phone'});
+    const saved = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM referral_codes WHERE code = UPPER($1)', [code]);
+      const result = await client.query(
+        `INSERT INTO referral_codes (code, program_id, owner_phone, max_uses, expires_at, active)
+         VALUES (UPPER($1), $2, $3, $4, $5, $6)
+         ON CONFLICT (code) DO UPDATE SET program_id = EXCLUDED.program_id, owner_phone = EXCLUDED.owner_phone,
+           max_uses = EXCLUDED.max_uses, expires_at = EXCLUDED.expires_at, active = EXCLUDED.active
+         RETURNING *`,
+        [code, programId, owner, maxUses ? parseInt(maxUses) : null, expiresAt || null, active === undefined ? true : !!active]
+      );
+      await auditLog(client, req, { action: 'referral_code.save', targetType: 'referral_code', targetId: result.rows[0].code, before: before.rows[0] || null, after: result.rows[0] });
+      return result.rows[0];
+    });
+    res.json({success: true, code: saved});
+  } catch(e) {
+    if (e.code === '23503') return res.status(400).json({error: 'Unknown program'});
+    res.status(500).json({error: e.message});
+  }
+});
+
+app.get('/admin/referrals', requireAdmin('support', 'finance'), async (req, res) => {
+  const params = [];
+  const where = [];
+  if (req.query.flagged === 'true') where.push('r.flagged');
+  if (req.query.status) { params.push(req.query.status); where.push(`r.status = $${params.length}`); }
+  try {
+    if (req.query.phone) { params.push(formatPhone(req.query.phone)); where.push(`(r.referrer_phone = $${params.length} OR r.referred_phone = $${params.length})`); }
+    const referrals = await pool.query(
+      `SELECT r.*, u.username AS referred_username, u.signup_ip, u.signup_device_id, ru.username AS referrer_username,
+              COALESCE(SUM(e.amount) FILTER (WHERE e.status = 'pending'), 0) AS pending,
+              COALESCE(SUM(e.amount) FILTER (WHERE e.status = 'paid'), 0) AS paid
+       FROM referrals r
+       LEFT JOIN users u ON u.phone = r.referred_phone
+       LEFT JOIN users ru ON ru.phone = r.referrer_phone
+       LEFT JOIN referral_earnings e ON e.referral_id = r.id
+       ${where.length > 0 ? 'WHERE ' + where.join(' AND ') : ''}
+       GROUP BY r.id, u.username, u.signup_ip, u.signup_device_id, ru.username
+       ORDER BY r.id DESC LIMIT 500`,
+      params
+    );
+    res.json({success: true, referrals: referrals.rows});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+// Approving clears the flag and pays anything held if the player has
+// qualified; rejecting voids the referral's unpaid earnings for good.
+app.post('/admin/referrals/:id/review', requireAdmin('support', 'finance'), async (req, res) => {
+  const { decision } = req.body;
+  if (!['approve', 'reject'].includes(decision)) return res.status(400).json({error: 'decision must be approve or reject'});
+  try {
+    const referral = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM referrals WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (current.rows.length === 0) throw new WalletError('Referral not found', 404);
+      const before = current.rows[0];
+      if (before.status === 'rejected') throw new WalletError('Referral was already rejected');
+
+      let updated;
+      if (decision === 'approve') {
+        updated = (await client.query(
+          'UPDATE referrals SET flagged = false, reviewed_by = $1 WHERE id = $2 RETURNING *', [req.admin.username, before.id]
+        )).rows[0];
+        await releaseReferralEarnings(client, await qualifyReferral(client, updated));
+      } else {
+        updated = (await client.query(
+          "UPDATE referrals SET status = 'rejected', flagged = false, reviewed_by = $1 WHERE id = $2 RETURNING *", [req.admin.username, before.id]
+        )).rows[0];
+        await client.query("UPDATE referral_earnings SET status = 'void' WHERE referral_id = $1 AND status = 'pending'", [before.id]);
+      }
+      await auditLog(client, req, { action: `referral.${decision}`, targetType: 'referral', targetId: before.id, before, after: updated });
+      return updated;
+    });
+    res.json({success: true, referral});
+  } catch(e) {
+    if (e instanceof WalletError) return res.status(e.status).json({error: e.message});
+    res.status(500).json({error: e.message});
+  }
+});
+
+/* =========================
+   PROVABLY FAIR
+========================= */
+
+// Seeds come from a SHA-256 hash chain committed before any of its rounds
+// are played: seed[0] is random, seed[i] = sha256(seed[i-1]), and the
+// published commitment is sha256(seed[length-1]). Rounds consume the chain
+// backwards, so every revealed seed hashes to the seed of the round before
+// it (or to the commitment for the first round). See PROVABLY_FAIR.md.
+
+const FAIR_CHAIN_LENGTH = parseInt(process.env.FAIR_CHAIN_LENGTH) || 10000;
+const FAIR_HOUSE_EDGE = parseFloat(process.env.FAIR_HOUSE_EDGE) || 0.01;
+
+// The origin seed gives away every crash point of its chain, so
+// seed_chains.origin_seed holds it sealed with AES-256-GCM under FAIR_SEED_KEY.
+// It is only opened in memory and becomes public as the last round's seed.
+const FAIR_SEED_KEY = crypto.createHash('sha256').update(process.env.FAIR_SEED_KEY || crypto.randomBytes(32)).digest();
+
+if (!process.env.FAIR_SEED_KEY) {
+  console.warn("⚠️ FAIR_SEED_KEY is not set; seed chains will be replaced after a restart");
+}
+
+let fairChain = null;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function sealSeed(seed) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', FAIR_SEED_KEY, iv);
+  const data = Buffer.concat([cipher.update(seed, 'utf8'), cipher.final()]);
+  return ['enc', iv.toString('hex'), cipher.getAuthTag().toString('hex'), data.toString('hex')].join(':');
+}
+
+// Returns null for a seed sealed under another key (or not sealed at all)
+function openSeed(sealed) {
+  const [prefix, iv, tag, data] = String(sealed).split(':');
+  if (prefix !== 'enc') return null;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', FAIR_SEED_KEY, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Seals origin seeds stored in plaintext before they were encrypted.
+async function sealSeedChains() {
+  const plain = await pool.query("SELECT id, origin_seed FROM seed_chains WHERE origin_seed NOT LIKE 'enc:%'");
+  for (const row of plain.rows) {
+    await pool.query('UPDATE seed_chains SET origin_seed = $1 WHERE id = $2', [sealSeed(row.origin_seed), row.id]);
+  }
+  if (plain.rows.length > 0) console.log(`🔐 Sealed the origin seeds of ${plain.rows.length} seed chains`);
+}
+
+function buildSeedChain(originSeed, length) {
+  const seeds = [originSeed];
+  for (let i = 1; i < length; i++) seeds.push(sha256(seeds[i - 1]));
+  return seeds;
+}
+
+// crash = floor(100 * (1 - edge) / (1 - r)) / 100, floored at 1.00, where r
+// is the first 52 bits of HMAC-SHA256(key = server seed, msg = client seed)
+// divided by 2^52.
+function crashPointFromSeed(serverSeed, clientSeed, houseEdge) {
+  const hmac = crypto.createHmac('sha256', serverSeed).update(clientSeed).digest('hex');
+  const r = parseInt(hmac.slice(0, 13), 16) / Math.pow(2, 52);
+  const cp = Math.floor((100 * (1 - houseEdge)) / (1 - r)) / 100;
+  return Math.max(1.00, cp);
+}
+
+async function isProvablyFair() {
+  try {
+    const s = await pool.query("SELECT setting_value FROM settings WHERE setting_key = 'provably_fair'");
+    if (s.rows.length > 0 && s.rows[0].setting_value) return s.rows[0].setting_value === 'on';
+  } catch(e) {}
+  return process.env.PROVABLY_FAIR === 'true';
+}
+
+async function createSeedChain() {
+  const originSeed = crypto.randomBytes(32).toString('hex');
+  const seeds = buildSeedChain(originSeed, FAIR_CHAIN_LENGTH);
+  const terminatingHash = sha256(seeds[seeds.length - 1]);
+  const clientSeed = process.env.FAIR_CLIENT_SEED || crypto.randomBytes(16).toString('hex');
+
+  await pool.query("UPDATE seed_chains SET active = false WHERE active = true");
+  const result = await pool.query(
+    'INSERT INTO seed_chains (origin_seed, terminating_hash, client_seed, house_edge, length, next_index) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+    [sealSeed(originSeed), terminatingHash, clientSeed, FAIR_HOUSE_EDGE, FAIR_CHAIN_LENGTH, FAIR_CHAIN_LENGTH - 1]
+  );
+  console.log(`🔐 New seed chain #${result.rows[0].id} committed: ${terminatingHash}`);
+
+  fairChain = {
+    id: result.rows[0].id,
+    clientSeed,
+    houseEdge: FAIR_HOUSE_EDGE,
+    nextIndex: FAIR_CHAIN_LENGTH - 1,
+    seeds
+  };
+}
+
+async function loadSeedChain() {
+  const result = await pool.query("SELECT * FROM seed_chains WHERE active = true AND next_index >= 0 ORDER BY id DESC LIMIT 1");
+  if (result.rows.length === 0) return createSeedChain();
+
+  const row = result.rows[0];
+  const originSeed = openSeed(row.origin_seed);
+  if (!originSeed) {
+    console.warn(`⚠️ Seed chain #${row.id} cannot be opened with FAIR_SEED_KEY; committing a new chain`);
+    return createSeedChain();
+  }
+  fairChain = {
+    id: row.id,
+    clientSeed: row.client_seed,
+    houseEdge: parseFloat(row.house_edge),
+    nextIndex: row.next_index,
+    seeds: buildSeedChain(originSeed, row.length)
+  };
+}
+
+async function takeNextSeed() {
+  if (!fairChain || fairChain.nextIndex < 0) await loadSeedChain();
+
+  const index = fairChain.nextIndex;
+  await pool.query('UPDATE seed_chains SET next_index = $1 WHERE id = $2', [index - 1, fairChain.id]);
+  fairChain.nextIndex = index - 1;
+
+  return { chain: fairChain, index, seed: fairChain.seeds[index] };
+}
+
+// Opens the next round. In provably-fair mode the crash point is fixed here,
+// before the WAITING broadcast, so its seed hash can be published up front.
+async function openRound() {
+  if (await isProvablyFair()) {
+    const { chain, index, seed } = await takeNextSeed();
+    const seedHash = sha256(seed);
+    const result = await pool.query(
+      'INSERT INTO rounds (provably_fair, chain_id, chain_index, seed_hash) VALUES (true, $1, $2, $3) RETURNING id',
+      [chain.id, index, seedHash]
+    );
+    return {
+      id: result.rows[0].id,
+      provablyFair: true,
+      seed,
+      seedHash,
+      crashPoint: crashPointFromSeed(seed, chain.clientSeed, chain.houseEdge)
+    };
+  }
+
+  const result = await pool.query('INSERT INTO rounds (provably_fair) VALUES (false) RETURNING id');
+  return { id: result.rows[0].id, provablyFair: false, seed: null, seedHash: null, crashPoint: null };
+}
+
+// Waits for cashouts still being written, then settles every bet of the round
+// that is still 'placed' (not cashed out, or its cashout failed) as lost. The
+// round totals are taken from the settled rows, so a payout that failed is
+// never reported as paid.
+async function closeRound(round, crashPoint, bets) {
+  await Promise.allSettled(bets.map(b => b.settlement));
+  await pool.query("UPDATE bets SET status = 'lost' WHERE round_id = $1 AND status = 'placed'", [round.id]);
+  const settled = await pool.query(
+    `SELECT COALESCE(SUM(b.amount), 0) AS wagered,
+       COALESCE(SUM(b.cash_win + b.bonus_win) FILTER (WHERE b.status = 'cashed_out'), 0) AS paid_out,
+       COUNT(DISTINCT b.phone) AS players
+     FROM bets b WHERE b.round_id = $1`,
+    [round.id]
+  );
+  const totals = {
+    wagered: parseFloat(settled.rows[0].wagered),
+    paidOut: parseFloat(settled.rows[0].paid_out),
+    players: parseInt(settled.rows[0].players, 10)
+  };
+  await pool.query(
+    `UPDATE rounds SET status = 'crashed', crash_point = $1, server_seed = $2, crashed_at = NOW(),
+       total_wagered = $3, total_paid_out = $4, player_count = $5
+     WHERE id = $6`,
+    [crashPoint, round.seed, totals.wagered, totals.paidOut, totals.players, round.id]
+  );
+  return totals;
+}
+
+function maskPhone(phone) {
+  if (!phone) return null;
+  return phone.slice(0, 5) + '****' + phone.slice(-3);
+}
+
+function maskUsername(username) {
+  if (!username) return 'Player';
+  if (username.length <= 2) return username[0] + '***';
+  return username[0] + '***' + username.slice(-1);
+}
+
+// What a settled bet actually paid: capped at max_win_per_bet by the engine,
+// and only the winnings over the stake for a free bet.
+function paidWin(bet) {
+  return bet.freeBetId ? Math.max(0, toCents(bet.winAmount - bet.amount)) : toCents(bet.winAmount);
+}
+
+// Settled payout of a bets row (alias b). Rows from before the win split was
+// recorded fall back to stake x multiplier.
+const BET_WIN_SQL = 'COALESCE(b.cash_win + b.bonus_win, ROUND(b.amount * b.multiplier, 2))';
+
+// Public view of an in-memory bet for the live feed: no phone numbers.
+function betView(bet) {
+  return {
+    betId: bet.id,
+    player: maskUsername(bet.username),
+    amount: bet.amount,
+    panel: bet.panel,
+    autoCashout: bet.autoCashout,
+    cashedOut: bet.cashedOut,
+    multiplier: bet.cashedOut ? bet.multiplier : null,
+    payout: bet.cashedOut ? paidWin(bet) : null
+  };
+}
+
+function roundFeedSummary(roundId, crashPoint, bets, totals) {
+  const cashouts = bets.filter(b => b.cashedOut && b.winAmount > 0).map(betView).sort((a, b) => b.payout - a.payout);
+  return {
+    roundId,
+    crashPoint,
+    wagered: toCents(totals.wagered),
+    paidOut: toCents(totals.paidOut),
+    players: totals.players,
+    bets: bets.length,
+    cashouts: cashouts.length,
+    topCashouts: cashouts.slice(0, 10)
+  };
+}
+
+function roundSummary(row) {
+  return {
+    id: row.id,
+    crash_point: row.crash_point !== null ? parseFloat(row.crash_point) : null,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    crashed_at: row.crashed_at,
+    total_wagered: parseFloat(row.total_wagered || 0),
+    total_paid_out: parseFloat(row.total_paid_out || 0),
+    player_count: row.player_count || 0,
+    provably_fair: row.provably_fair,
+    seed_hash: row.seed_hash,
+    server_seed: row.server_seed
+  };
+}
+
+// Top wins and top multipliers for the current calendar day or week.
+const LEADERBOARD_ORDER = {
+  'top-wins': `${BET_WIN_SQL} DESC, b.multiplier DESC`,
+  'top-multipliers': `b.multiplier DESC, ${BET_WIN_SQL} DESC`
+};
+const LEADERBOARD_PERIODS = { daily: 'day', weekly: 'week' };
+
+app.get('/api/leaderboard/:board', async (req, res) => {
+  const order = LEADERBOARD_ORDER[req.params.board];
+  if (!order) return res.status(404).json({ error: 'Unknown leaderboard' });
+  const period = req.query.period || 'daily';
+  if (!LEADERBOARD_PERIODS[period]) return res.status(400).json({ error: 'period must be daily or weekly' });
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+  try {
+    const result = await pool.query(
+      `SELECT b.id, b.round_id, u.username, b.amount, b.multiplier, ${BET_WIN_SQL} AS win, r.crashed_at
+       FROM bets b JOIN rounds r ON r.id = b.round_id LEFT JOIN users u ON u.phone = b.phone
+       WHERE b.status = 'cashed_out' AND r.crashed_at >= date_trunc($1, NOW())
+       ORDER BY ${order} LIMIT $2`,
+      [LEADERBOARD_PERIODS[period], limit]
+    );
+    res.json({
+      success: true,
+      board: req.params.board,
+      period,
+      entries: result.rows.map((b, i) => ({
+        rank: i + 1,
+        player: maskUsername(b.username),
+        roundId: b.round_id,
+        amount: parseFloat(b.amount),
+        multiplier: parseFloat(b.multiplier),
+        win: parseFloat(b.win),
+        at: b.crashed_at
+      }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/rounds', async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+  try {
+    const total = await pool.query('SELECT COUNT(*) FROM rounds WHERE crashed_at IS NOT NULL');
+    const rounds = await pool.query(
+      'SELECT * FROM rounds WHERE crashed_at IS NOT NULL ORDER BY id DESC LIMIT $1 OFFSET $2',
+      [limit, (page - 1) * limit]
+    );
+    res.json({
+      success: true,
+      page,
+      limit,
+      total: parseInt(total.rows[0].count),
+      rounds: rounds.rows.map(roundSummary)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/rounds/:id', async (req, res) => {
+  try {
+    const roundRes = await pool.query('SELECT * FROM rounds WHERE id = $1', [req.params.id]);
+    if (roundRes.rows.length === 0) return res.status(404).json({ error: 'Round not found' });
+
+    const round = roundSummary(roundRes.rows[0]);
+    const bets = await pool.query(
+      `SELECT b.id, b.phone, u.username, b.amount, b.multiplier, ${BET_WIN_SQL} AS win, b.status, b.created_at
+       FROM bets b LEFT JOIN users u ON u.phone = b.phone
+       WHERE b.round_id = $1 ORDER BY b.id`,
+      [round.id]
+    );
+    const rows = bets.rows.map(b => ({
+      id: b.id,
+      username: b.username,
+      phone: maskPhone(b.phone),
+      amount: parseFloat(b.amount),
+      multiplier: b.multiplier !== null ? parseFloat(b.multiplier) : null,
+      win: b.status === 'cashed_out' ? parseFloat(b.win) : null,
+      status: b.status,
+      created_at: b.created_at
+    }));
+    const cashouts = rows.filter(b => b.status === 'cashed_out');
+
+    res.json({ success: true, round, bets: rows, cashouts });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/fairness', async (req, res) => {
+  try {
+    const chain = await pool.query("SELECT id, terminating_hash, client_seed, house_edge, length, created_at FROM seed_chains WHERE active = true ORDER BY id DESC LIMIT 1");
+    res.json({
+      success: true,
+      enabled: await isProvablyFair(),
+      chain: chain.rows[0] || null,
+      formula: 'crash = max(1.00, floor(100 * (1 - house_edge) / (1 - r)) / 100), r = int(HMAC_SHA256(server_seed, client_seed)[0:13], 16) / 2^52'
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/rounds/:id/verify', async (req, res) => {
+  try {
+    const roundRes = await pool.query(
+      `SELECT r.*, c.client_seed, c.house_edge, c.terminating_hash, c.length
+       FROM rounds r LEFT JOIN seed_chains c ON c.id = r.chain_id WHERE r.id = $1`,
+      [req.params.id]
+    );
+    if (roundRes.rows.length === 0) return res.status(404).json({ error: 'Round not found' });
+
+    const round = roundRes.rows[0];
+    if (!round.provably_fair) return res.status(400).json({ error: 'Round was not played in provably-fair mode' });
+    if (!round.server_seed) return res.status(400).json({ error: 'Seed is revealed once the round has crashed' });
+
+    // The seed must hash to the seed of the round before it in the chain.
+    let expectedHash = round.terminating_hash;
+    if (round.chain_index < round.length - 1) {
+      const prev = await pool.query(
+        'SELECT server_seed FROM rounds WHERE chain_id = $1 AND chain_index = $2',
+        [round.chain_id, round.chain_index + 1]
+      );
+      expectedHash = prev.rows.length > 0 ? prev.rows[0].server_seed : null;
+    }
+
+    const computed = crashPointFromSeed(round.server_seed, round.client_seed, parseFloat(round.house_edge));
+    const hashMatches = sha256(round.server_seed) === round.seed_hash;
+    const chainMatches = expectedHash ? sha256(round.server_seed) === expectedHash : null;
+    // Rounds voided by a restart never ran, so there is no crash point to compare
+    const crashPointMatches = round.crash_point === null ? null : computed === parseFloat(round.crash_point);
+
+    res.json({
+      success: true,
+      round_id: round.id,
+      server_seed: round.server_seed,
+      seed_hash: round.seed_hash,
+      client_seed: round.client_seed,
+      house_edge: parseFloat(round.house_edge),
+      chain_id: round.chain_id,
+      chain_index: round.chain_index,
+      terminating_hash: round.terminating_hash,
+      crash_point: parseFloat(round.crash_point),
+      computed_crash_point: computed,
+      checks: { hash: hashMatches, chain: chainMatches, crash_point: crashPointMatches },
+      verified: hashMatches && chainMatches !== false && crashPointMatches !== false
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /* =========================
    GAME ENGINE & SSE
 ========================= */
 
+// The stream is sparse: a round-start frame carries startedAt and the growth
+// constant so clients draw multiplier = e^(growth * t) locally, then the
+// server sends a sync tick every SSE_SYNC_INTERVAL_MS to correct drift. Frames
+// have ids so a reconnecting client resumes with Last-Event-ID instead of
+// starting over, and clients whose send buffer backs up are dropped.
+const MULTIPLIER_GROWTH = 0.08;
+const SSE_SYNC_INTERVAL_MS = parseInt(process.env.SSE_SYNC_INTERVAL_MS) || 1000;
+const SSE_HEARTBEAT_SECONDS = parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 15;
+const SSE_RETRY_MS = parseInt(process.env.SSE_RETRY_MS) || 3000;
+const SSE_MAX_CLIENTS = parseInt(process.env.SSE_MAX_CLIENTS) || 5000;
+const SSE_MAX_BUFFERED_BYTES = parseInt(process.env.SSE_MAX_BUFFERED_BYTES) || 64 * 1024;
+const SSE_REPLAY_EVENTS = 50;
+const STREAM_EPOCH = Date.now().toString(36);
+
 let clients = [];
+let eventSeq = 0;
+let recentEvents = [];
+let roundStartedAt = null;
+let roundLimits = { ...STAKE_LIMIT_DEFAULTS };
+let roundLiability = 0;
 let gameStatus = 'WAITING';
 let currentMultiplier = 1.00;
 let currentCrashPoint = 1.00;
 let oddsHistory = [];
 let activeBets = [];
 let pendingBets = [];
+let currentRound = null;
+
+// Restores the crash history shown to clients from the rounds table.
+async function loadHistory() {
+  const result = await pool.query('SELECT crash_point FROM rounds WHERE crashed_at IS NOT NULL ORDER BY id DESC LIMIT 15');
+  oddsHistory = result.rows.map(r => parseFloat(r.crash_point).toFixed(2));
+}
+
+function streamSnapshot() {
+  const snapshot = { status: gameStatus, multiplier: currentMultiplier, history: oddsHistory, serverTime: Date.now() };
+  if (currentRound) snapshot.roundId = currentRound.id;
+  if (gameStatus === 'RUNNING') Object.assign(snapshot, { startedAt: roundStartedAt, growth: MULTIPLIER_GROWTH });
+  return snapshot;
+}
+
+// Events a reconnecting client missed, or null when its last id is from an
+// earlier process or has already left the replay buffer.
+function missedEvents(lastEventId) {
+  if (!lastEventId || !lastEventId.startsWith(STREAM_EPOCH + '-')) return null;
+  const seq = parseInt(lastEventId.slice(STREAM_EPOCH.length + 1));
+  if (Number.isNaN(seq) || seq > eventSeq) return null;
+  if (recentEvents.length === 0 || seq < recentEvents[0].seq - 1) return null;
+  return recentEvents.filter(e => e.seq > seq);
+}
+
+function dropClient(res) {
+  clients = clients.filter(c => c !== res);
+  res.destroy();
+}
+
+// Slow readers are dropped rather than buffered without limit; EventSource
+// reconnects and resumes from its last id once the connection recovers.
+function sseWrite(res, msg) {
+  if (res.writableLength > SSE_MAX_BUFFERED_BYTES) return dropClient(res);
+  res.write(msg);
+}
 
 app.get('/api/stream', (req, res) => {
+  if (clients.length >= SSE_MAX_CLIENTS) {
+    res.setHeader('Retry-After', Math.ceil(SSE_RETRY_MS / 1000));
+    return res.status(503).json({ error: 'Too many connections, try again shortly' });
+  }
+
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
   res.flushHeaders();
-  
-  // Send initial state
-  res.write(`data: ${JSON.stringify({ status: gameStatus, multiplier: currentMultiplier, history: oddsHistory })}\n\n`);
-  
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const missed = missedEvents(req.headers['last-event-id'] || req.query.lastEventId);
+  if (missed) {
+    missed.forEach(e => res.write(e.frame));
+  } else {
+    res.write(`id: ${STREAM_EPOCH}-${eventSeq}\ndata: ${JSON.stringify(streamSnapshot())}\n\n`);
+  }
+
   clients.push(res);
   req.on('close', () => {
     clients = clients.filter(c => c !== res);
   });
 });
 
+setInterval(() => clients.forEach(c => sseWrite(c, ': ping\n\n')), SSE_HEARTBEAT_SECONDS * 1000);
+
 function broadcast(data) {
-  const msg = `data: ${JSON.stringify(data)}\n\n`;
-  clients.forEach(c => c.write(msg));
+  const seq = ++eventSeq;
+  const frame = `id: ${STREAM_EPOCH}-${seq}\ndata: ${JSON.stringify(data)}\n\n`;
+  recentEvents.push({ seq, frame });
+  if (recentEvents.length > SSE_REPLAY_EVENTS) recentEvents.shift();
+  clients.forEach(c => sseWrite(c, frame));
+  broadcastSockets(data);
+  monitorFeed(data);
 }
 
+// Crash points drawn when no manual odds are set: a band is picked by weight,
+// then a point uniformly within it. Also used by the RTP report.
+const DEFAULT_CRASH_BANDS = [
+  { weight: 0.50, min: 1.00, max: 5.00 },     // Common
+  { weight: 0.30, min: 5.00, max: 50.00 },    // Professional range
+  { weight: 0.15, min: 50.00, max: 100.00 },  // Exciting range
+  { weight: 0.05, min: 100.00, max: 150.00 }  // Jackpot range
+];
+
 async function getNextCrashPoint() {
    try {
      const s = await pool.query("SELECT setting_value FROM settings WHERE setting_key = 'next_multiplier'");
@@ -724,55 +3712,89 @@ async function getNextCrashPoint() {
      }
    } catch(e) {}
 
-   const rand = Math.random();
-   let cp;
-   if (rand < 0.5) {
-      // 50% chance: 1.00 - 5.00 (Common)
-      cp = 1.00 + Math.random() * 4.00;
-   } else if (rand < 0.8) {
-      // 30% chance: 5.00 - 50.00 (Professional range)
-      cp = 5.00 + Math.random() * 45.00;
-   } else if (rand < 0.95) {
-      // 15% chance: 50.00 - 100.00 (Exciting range)
-      cp = 50.00 + Math.random() * 50.00;
-   } else {
-      // 5% chance: 100.00 - 150.00 (Jackpot range)
-      cp = 100.00 + Math.random() * 50.00;
+   let rand = Math.random();
+   let band = DEFAULT_CRASH_BANDS[DEFAULT_CRASH_BANDS.length - 1];
+   for (const b of DEFAULT_CRASH_BANDS) {
+      if (rand < b.weight) { band = b; break; }
+      rand -= b.weight;
    }
+   const cp = band.min + Math.random() * (band.max - band.min);
    return parseFloat(cp.toFixed(2));
 }
 
+// Settles an open bet on the engine's initiative. cashedOut is set before the
+// first await so the next tick cannot settle it twice.
+async function engineCashout(bet, mult, reason) {
+  bet.cashedOut = true;
+  bet.multiplier = mult;
+  bet.winAmount = Math.min(toCents(bet.amount * mult), roundLimits.max_win_per_bet);
+  bet.settlement = withTransaction(async (client) => {
+    const updated = await client.query(
+      "UPDATE bets SET multiplier = $1, status = 'cashed_out' WHERE id = $2 AND status = 'placed'",
+      [mult, bet.id]
+    );
+    if (updated.rowCount === 0) throw new WalletError('Bet already cashed out or invalid');
+    await creditWin(client, bet, bet.winAmount);
+  });
+  try {
+    await bet.settlement;
+    broadcast({ type: 'cashout', roundId: bet.roundId, reason, bet: betView(bet) });
+  } catch(e) {
+    // A bet that is no longer 'placed' was settled elsewhere; anything else is
+    // retried on the next tick, or settled as lost by closeRound() after a crash
+    console.error(`Error settling bet ${bet.id} (${reason}):`, e.message);
+    bet.winAmount = 0;
+    if (!(e instanceof WalletError)) bet.cashedOut = false;
+  }
+}
+
 async function runGameLoop() {
    gameStatus = 'WAITING';
    currentMultiplier = 1.00;
-   broadcast({ status: 'WAITING', time: 6, history: oddsHistory });
+
+   try {
+      roundLimits = await stakeLimits();
+      currentRound = await openRound();
+   } catch (e) {
+      console.error("Error opening round:", e);
+      setTimeout(() => runGameLoop(), 3000);
+      return;
+   }
+   const roundInfo = { roundId: currentRound.id, seedHash: currentRound.seedHash };
+
+   broadcast({ status: 'WAITING', time: 6, history: oddsHistory, ...roundInfo });
    
    let waitTime = 6;
    let waitInt = setInterval(async () => {
       waitTime--;
-      broadcast({ status: 'WAITING', time: waitTime, history: oddsHistory });
+      broadcast({ status: 'WAITING', time: waitTime, history: oddsHistory, ...roundInfo });
       
       if (waitTime === 1) {
-         // Move pending to active and deduct balances for the new round
-         for (let i = 0; i < pendingBets.length; i++) {
-           let bet = pendingBets[i];
+         // Move pending to active and deduct balances for the new round. Bets
+         // placed while this runs queue for the round after.
+         const batch = pendingBets;
+         pendingBets = [];
+         for (const bet of batch) {
            try {
-             const userRes = await pool.query('SELECT balance FROM users WHERE phone = $1', [bet.phone]);
-             if (userRes.rows.length > 0) {
-               let bal = parseFloat(userRes.rows[0].balance);
-               if (bal >= bet.amount) {
-                 await pool.query('UPDATE users SET balance = balance - $1 WHERE phone = $2', [bet.amount, bet.phone]);
-                 await pool.query("INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, 'bet', 'success')", [bet.phone, bet.amount]);
-                 activeBets.push(bet);
-               } else {
-                 await pool.query("UPDATE bets SET status = 'cancelled' WHERE id = $1", [bet.id]);
-               }
-             }
+             await withTransaction(async (client) => {
+               await debitStake(client, bet);
+               const activated = await client.query(
+                 "UPDATE bets SET round_id = $1 WHERE id = $2 AND status = 'placed'", [currentRound.id, bet.id]
+               );
+               if (activated.rowCount === 0) throw new WalletError('Bet was cancelled');
+             });
+             bet.roundId = currentRound.id;
+             activeBets.push(bet);
+             realityCheck(bet.phone).catch(e => console.error("Reality check failed:", e.message));
            } catch (e) {
-             console.error("Error processing pending bet:", e);
+             if (e instanceof WalletError) {
+               await pool.query("UPDATE bets SET status = 'cancelled' WHERE id = $1", [bet.id]).catch(() => {});
+             } else {
+               console.error("Error processing pending bet:", e);
+             }
            }
          }
-         pendingBets = [];
+         broadcast({ type: 'bets', roundId: currentRound.id, bets: activeBets.map(betView) });
       }
       
       if(waitTime <= 0) clearInterval(waitInt);
@@ -781,115 +3803,397 @@ async function runGameLoop() {
    await new Promise(r => setTimeout(r, 6000));
    
    gameStatus = 'RUNNING';
-   currentCrashPoint = await getNextCrashPoint();
+   currentCrashPoint = currentRound.provablyFair ? currentRound.crashPoint : await getNextCrashPoint();
+   pool.query("UPDATE rounds SET status = 'running', started_at = NOW() WHERE id = $1", [currentRound.id]).catch(() => {});
    
    let startTime = Date.now();
+   let lastSync = startTime;
+   roundStartedAt = startTime;
+   broadcast({ status: 'RUNNING', phase: 'start', roundId: currentRound.id, startedAt: startTime, growth: MULTIPLIER_GROWTH, multiplier: 1, serverTime: startTime });
    
    let gameInterval = setInterval(() => {
       let elapsedSec = (Date.now() - startTime) / 1000;
-      // Exponential curve: e^(0.08 * t). This makes it start slow and grow faster.
-      currentMultiplier = Math.max(1.00, Math.exp(0.08 * elapsedSec));
+      // Exponential curve: e^(growth * t). This makes it start slow and grow faster.
+      currentMultiplier = Math.max(1.00, Math.exp(MULTIPLIER_GROWTH * elapsedSec));
       
       // Auto cashout check
-      activeBets.forEach(async (bet) => {
-         if (bet.autoCashout && currentMultiplier >= bet.autoCashout && !bet.cashedOut) {
-            bet.cashedOut = true;
-            const winAmount = bet.amount * bet.autoCashout;
-            try {
-               await pool.query("UPDATE bets SET multiplier = $1, status = 'cashed_out' WHERE id = $2", [bet.autoCashout, bet.id]);
-               await pool.query('UPDATE users SET balance = balance + $1 WHERE phone = $2', [winAmount, bet.phone]);
-               await pool.query("INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, 'win', 'success')", [bet.phone, winAmount]);
-            } catch(e) {}
+      // Auto cashout, max win per bet and the round liability cap. Liability is
+      // what the house owes if every open bet cashed out right now.
+      const capped = currentMultiplier < currentCrashPoint;
+      let liability = 0;
+      activeBets.forEach(bet => {
+         if (bet.cashedOut) {
+            liability += bet.winAmount || 0;
+         } else if (bet.autoCashout && currentMultiplier >= bet.autoCashout && bet.autoCashout <= currentCrashPoint) {
+            engineCashout(bet, bet.autoCashout, 'auto');
+            liability += bet.winAmount;
+         } else if (capped && bet.amount * currentMultiplier >= roundLimits.max_win_per_bet) {
+            engineCashout(bet, Math.floor(currentMultiplier * 100) / 100, 'max_win');
+            liability += bet.winAmount;
+         } else {
+            liability += bet.amount * currentMultiplier;
          }
       });
+      roundLiability = liability;
+
+      if (capped && liability >= roundLimits.max_round_liability) {
+         const mult = Math.floor(currentMultiplier * 100) / 100;
+         const open = activeBets.filter(b => !b.cashedOut);
+         if (open.length > 0) {
+            console.log(`⚠️ Round #${currentRound.id} reached the liability cap at ${mult}x; settling ${open.length} open bets`);
+            broadcast({ type: 'liability_cap', roundId: currentRound.id, multiplier: mult });
+            open.forEach(b => engineCashout(b, mult, 'liability_cap'));
+         }
+      }
+
+      if (currentMultiplier >= currentCrashPoint) {
+         clearInterval(gameInterval);
+         currentMultiplier = currentCrashPoint;
+         gameStatus = 'CRASHED';
+         roundStartedAt = null;
+         roundLiability = 0;
+         
+         // Bets that were placed during the RUNNING phase are already in pendingBets
+         // They will be processed and deducted at the start of the next runGameLoop
+         const settledBets = activeBets;
+         activeBets = [];
+
+         oddsHistory.unshift(currentCrashPoint.toFixed(2));
+         if(oddsHistory.length > 15) oddsHistory.pop();
+         
+         const round = currentRound;
+         const crashPoint = currentCrashPoint;
+         broadcast({ status: 'CRASHED', multiplier: currentMultiplier, history: oddsHistory, roundId: round.id, seed: round.seed });
+         closeRound(round, crashPoint, settledBets)
+            .then(totals => broadcast({ type: 'round_summary', ...roundFeedSummary(round.id, crashPoint, settledBets, totals) }))
+            .catch(e => console.error("Error closing round:", e));
+         
+         setTimeout(() => {
+            runGameLoop();
+         }, 3000);
+      } else if (Date.now() - lastSync >= SSE_SYNC_INTERVAL_MS) {
+         lastSync = Date.now();
+         broadcast({ status: 'RUNNING', phase: 'sync', multiplier: currentMultiplier, startedAt: startTime, serverTime: lastSync });
+      }
+   }, 50);
+}
+
+/* =========================
+   ADMIN LIVE MONITOR
+========================= */
+
+// /admin/monitor/stream gives ops a view of the round in progress. A snapshot
+// event every MONITOR_INTERVAL_MS carries the engine's aggregates (open and
+// settled bets, stake, liability as computed by the last tick, the pending
+// queue and connected clients); cashout, round and alert events follow the
+// public feed as it is broadcast. Alerts fire for stakes of at least
+// MONITOR_LARGE_STAKE and wins of at least MONITOR_LARGE_WIN, and the last
+// MONITOR_ALERT_HISTORY of them are replayed to a new connection.
+const MONITOR_INTERVAL_MS = parseInt(process.env.MONITOR_INTERVAL_MS) || 500;
+const MONITOR_LARGE_STAKE = parseFloat(process.env.MONITOR_LARGE_STAKE) || 5000;
+const MONITOR_LARGE_WIN = parseFloat(process.env.MONITOR_LARGE_WIN) || 50000;
+const MONITOR_ALERT_HISTORY = 50;
+
+const monitorStreams = new Set(); // { res, adminId, sessionId }
+const monitorAlerts = [];
+
+function monitorBet(bet) {
+  return {
+    betId: bet.id,
+    phone: bet.phone,
+    username: bet.username,
+    amount: bet.amount,
+    freeBet: !!bet.freeBetId,
+    autoCashout: bet.autoCashout,
+    multiplier: bet.cashedOut ? bet.multiplier : null,
+    winAmount: bet.cashedOut ? paidWin(bet) : null
+  };
+}
+
+function monitorSnapshot() {
+  const open = activeBets.filter(b => !b.cashedOut);
+  const settled = activeBets.filter(b => b.cashedOut);
+  return {
+    roundId: currentRound ? currentRound.id : null,
+    status: gameStatus,
+    multiplier: Math.floor(currentMultiplier * 100) / 100,
+    activeBets: activeBets.length,
+    openBets: open.length,
+    players: new Set(activeBets.map(b => b.phone)).size,
+    totalStake: toCents(activeBets.reduce((sum, b) => sum + b.amount, 0)),
+    openStake: toCents(open.reduce((sum, b) => sum + b.amount, 0)),
+    paidOut: toCents(settled.reduce((sum, b) => sum + paidWin(b), 0)),
+    liability: toCents(roundLiability),
+    maxRoundLiability: roundLimits.max_round_liability,
+    cashedOut: settled.map(monitorBet),
+    largestOpen: open.slice().sort((a, b) => b.amount - a.amount).slice(0, 10).map(monitorBet),
+    pendingBets: pendingBets.length,
+    pendingStake: toCents(pendingBets.reduce((sum, b) => sum + b.amount, 0)),
+    clients: clients.length,
+    sockets: sockets.size,
+    serverTime: Date.now()
+  };
+}
+
+// Runs inside broadcast(), so dead or slow admin connections are dropped and
+// writes go through writeUserStream() rather than throwing into the game loop.
+function pushMonitor(event, data) {
+  const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const stream of [...monitorStreams]) {
+    if (stream.res.writableEnded || stream.res.destroyed || stream.res.writableLength > SSE_MAX_BUFFERED_BYTES) {
+      monitorStreams.delete(stream);
+      stream.res.destroy();
+    } else {
+      writeUserStream(stream, msg);
+    }
+  }
+}
+
+function monitorAlert(kind, roundId, bet, message) {
+  const alert = { kind, roundId, bet, message, at: Date.now() };
+  monitorAlerts.push(alert);
+  if (monitorAlerts.length > MONITOR_ALERT_HISTORY) monitorAlerts.shift();
+  console.log(`🚨 ${message}`);
+  pushMonitor('alert', alert);
+}
+
+// Called by broadcast() with every public game event. Cashouts are read from
+// the event itself: by the time it is broadcast the round may have moved on.
+function monitorFeed(data) {
+  if (data.type === 'bets') {
+    for (const bet of activeBets) {
+      if (bet.amount >= MONITOR_LARGE_STAKE) {
+        monitorAlert('large_stake', data.roundId, monitorBet(bet), `Large stake: ${bet.username || bet.phone} staked KSH ${bet.amount.toFixed(2)} on round #${data.roundId}`);
+      }
+    }
+  } else if (data.type === 'cashout') {
+    const bet = data.bet;
+    pushMonitor('cashout', { roundId: data.roundId, reason: data.reason || 'manual', bet });
+    if (bet.payout >= MONITOR_LARGE_WIN) {
+      monitorAlert('large_win', data.roundId, bet,
+        `Large win: bet ${bet.betId} (${bet.player}) won KSH ${bet.payout.toFixed(2)} at ${bet.multiplier}x on round #${data.roundId}`);
+    }
+  } else if (data.type === 'liability_cap') {
+    pushMonitor('alert', { kind: 'liability_cap', roundId: data.roundId, message: `Round #${data.roundId} hit the liability cap at ${data.multiplier}x`, at: Date.now() });
+  } else if (data.type === 'round_summary' || (data.status === 'RUNNING' && data.phase === 'start')) {
+    pushMonitor('round', data);
+  }
+}
+
+// Ends monitor streams of one admin session, or of every session of an admin.
+function closeMonitorStreams({ sessionId = null, adminId = null }) {
+  for (const stream of [...monitorStreams]) {
+    if ((sessionId && stream.sessionId === sessionId) || (adminId && stream.adminId === adminId)) {
+      monitorStreams.delete(stream);
+      writeUserStream(stream, 'event: logout\ndata: {}\n\n');
+      if (!stream.res.writableEnded) stream.res.end();
+    }
+  }
+}
+
+app.get('/admin/monitor/stream', tokenFromQuery, requireAdmin(), (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  res.write(`event: snapshot\ndata: ${JSON.stringify(monitorSnapshot())}\n\n`);
+  for (const alert of monitorAlerts) res.write(`event: alert\ndata: ${JSON.stringify(alert)}\n\n`);
+
+  const stream = { res, adminId: req.admin.id, sessionId: req.adminSessionId };
+  monitorStreams.add(stream);
+  res.on('error', () => monitorStreams.delete(stream));
+  res.on('close', () => monitorStreams.delete(stream));
+});
 
-      if (currentMultiplier >= currentCrashPoint) {
-         clearInterval(gameInterval);
-         currentMultiplier = currentCrashPoint;
-         gameStatus = 'CRASHED';
-         
-         // Mark remaining active bets as lost
-         try {
-             const lostIds = activeBets.filter(b => !b.cashedOut).map(b => b.id);
-             if (lostIds.length > 0) {
-                 pool.query("UPDATE bets SET status = 'lost' WHERE id = ANY($1)", [lostIds]).catch(()=>{});
-             }
-         } catch(e) {}
-         
-         // Bets that were placed during the RUNNING phase are already in pendingBets
-         // They will be processed and deducted at the start of the next runGameLoop
-         activeBets = [];
+setInterval(() => {
+  if (monitorStreams.size > 0) pushMonitor('snapshot', monitorSnapshot());
+}, MONITOR_INTERVAL_MS);
 
-         oddsHistory.unshift(currentCrashPoint.toFixed(2));
-         if(oddsHistory.length > 15) oddsHistory.pop();
-         
-         broadcast({ status: 'CRASHED', multiplier: currentMultiplier, history: oddsHistory });
-         
-         setTimeout(() => {
-            runGameLoop();
-         }, 3000);
+/* =========================
+   CRASH RECOVERY
+========================= */
+
+// Runs once on boot, before the first round. Rounds that never reached
+// CRASHED are voided and their unsettled stakes refunded; bets that were still
+// queued for a round are re-queued (or cancelled with REQUEUE_BETS_ON_RESTART=false).
+const REQUEUE_BETS_ON_RESTART = process.env.REQUEUE_BETS_ON_RESTART !== 'false';
+
+async function revealVoidedSeed(round) {
+  if (!round.provably_fair || !round.chain_id) return null;
+  const chain = await pool.query('SELECT origin_seed FROM seed_chains WHERE id = $1', [round.chain_id]);
+  const originSeed = chain.rows.length > 0 ? openSeed(chain.rows[0].origin_seed) : null;
+  if (!originSeed) return null;
+  return buildSeedChain(originSeed, round.chain_index + 1)[round.chain_index];
+}
+
+async function recoverInterruptedRounds() {
+  const interrupted = await pool.query(
+    "SELECT * FROM rounds WHERE crashed_at IS NULL AND status IN ('waiting', 'running') ORDER BY id"
+  );
+
+  for (const round of interrupted.rows) {
+    const bets = await pool.query("SELECT * FROM bets WHERE round_id = $1 AND status = 'placed'", [round.id]);
+    for (const bet of bets.rows) {
+      try {
+        await withTransaction(async (client) => {
+          const voided = await client.query("UPDATE bets SET status = 'void' WHERE id = $1 AND status = 'placed'", [bet.id]);
+          if (voided.rowCount === 0) return;
+          await refundStake(client, bet, `round-${round.id}`);
+          await notify(client, bet.phone, bet.free_bet_id
+            ? `Round #${round.id} was interrupted by a server restart. Your KSH ${parseFloat(bet.amount).toFixed(2)} free bet is available again.`
+            : `Round #${round.id} was interrupted by a server restart. Your bet of KSH ${parseFloat(bet.amount).toFixed(2)} has been refunded.`);
+        });
+      } catch (e) {
+        console.error(`Error refunding bet ${bet.id}:`, e.message);
+      }
+    }
+
+    await pool.query(
+      "UPDATE rounds SET status = 'voided', voided_at = NOW(), server_seed = COALESCE(server_seed, $1) WHERE id = $2",
+      [await revealVoidedSeed(round), round.id]
+    );
+    console.log(`♻️ Voided interrupted round #${round.id}, refunded ${bets.rows.length} bets`);
+  }
+
+  const queued = await pool.query(
+    "SELECT b.*, u.username FROM bets b LEFT JOIN users u ON u.phone = b.phone WHERE b.status = 'placed' AND b.round_id IS NULL ORDER BY b.id"
+  );
+  for (const bet of queued.rows) {
+    const amount = parseFloat(bet.amount);
+    try {
+      if (REQUEUE_BETS_ON_RESTART) {
+        pendingBets.push({
+          id: bet.id,
+          phone: bet.phone,
+          username: bet.username,
+          amount,
+          autoCashout: bet.auto_cashout !== null ? parseFloat(bet.auto_cashout) : null,
+          panel: bet.panel,
+          freeBetId: bet.free_bet_id,
+          cashedOut: false
+        });
+        await notify(pool, bet.phone, `Your KSH ${amount.toFixed(2)} bet was kept for the next round after a server restart.`);
       } else {
-         broadcast({ status: 'RUNNING', multiplier: currentMultiplier });
+        await pool.query("UPDATE bets SET status = 'cancelled' WHERE id = $1", [bet.id]);
+        await notify(pool, bet.phone, `Your KSH ${amount.toFixed(2)} bet was cancelled by a server restart. No money was deducted.`);
       }
-   }, 50);
+    } catch (e) {
+      console.error(`Error recovering queued bet ${bet.id}:`, e.message);
+    }
+  }
+  if (queued.rows.length > 0) {
+    console.log(`♻️ ${REQUEUE_BETS_ON_RESTART ? 'Re-queued' : 'Cancelled'} ${queued.rows.length} bets left from before the restart`);
+  }
 }
 
 // Start game engine only after DB connects
-pool.connect().then(() => runGameLoop()).catch(err => console.log(err));
+pool.connect()
+  .then(() => ensureSchema())
+  .then(() => importLegacyReceipts())
+  .then(() => ensureBootstrapAdmin())
+  .then(() => openLedgerBalances())
+  .then(() => sealSeedChains())
+  .then(() => recoverInterruptedRounds())
+  .then(() => loadHistory())
+  .then(() => {
+    startDepositReconciliation();
+    startBonusExpiry();
+    return runGameLoop();
+  })
+  .catch(err => console.log(err));
 
 /* =========================
    STK PAYMENT ROUTES
 ========================= */
 
-app.post("/pay", async (req, res) => {
-  try {
-    const { phone, amount } = req.body;
-    const formattedPhone = formatPhone(phone);
+// Point these at a local mock server to test deposits and payouts offline.
+const PAYMENT_API_URL = process.env.SWIFTWALLET_API_URL || "https://swiftwallet.co.ke/v3";
+const PAYMENT_API_KEY = process.env.SWIFTWALLET_KEY;
+const PAYOUT_API_KEY = process.env.SWIFTWALLET_B2C_KEY || PAYMENT_API_KEY;
+const PAYMENT_CHANNEL_ID = process.env.SWIFTWALLET_CHANNEL_ID || "000603";
+
+// Provider callbacks must carry either an X-Callback-Signature header (hex
+// HMAC-SHA256 of the raw body) or the ?token= we put in the callback URL.
+const PAYMENT_CALLBACK_SECRET = process.env.PAYMENT_CALLBACK_SECRET;
+
+if (!PAYMENT_CALLBACK_SECRET) {
+  console.warn("⚠️ PAYMENT_CALLBACK_SECRET is not set; payment callbacks will be rejected");
+}
 
-    if (!formattedPhone)
-      return res.status(400).json({ success: false, error: "Invalid phone format" });
+function callbackUrl(route) {
+  return `${process.env.BASE_URL}${route}?token=${encodeURIComponent(PAYMENT_CALLBACK_SECRET || '')}`;
+}
+
+function verifyPaymentCallback(req, res, next) {
+  if (PAYMENT_CALLBACK_SECRET) {
+    const signature = req.headers['x-callback-signature'];
+    if (signature) {
+      const expected = crypto.createHmac('sha256', PAYMENT_CALLBACK_SECRET).update(req.rawBody || '').digest('hex');
+      if (safeEqual(signature, expected)) return next();
+    } else if (req.query.token && safeEqual(req.query.token, PAYMENT_CALLBACK_SECRET)) {
+      return next();
+    }
+  }
+  console.warn(`❌ Rejected unverified callback on ${req.path} from ${req.ip}`);
+  res.status(401).json({ ResultCode: 1, ResultDesc: "Callback verification failed" });
+}
+
+app.post("/pay", requireAuth, async (req, res) => {
+  try {
+    const { amount } = req.body;
+    const formattedPhone = req.phone;
 
     if (!amount || amount < 1)
       return res.status(400).json({ success: false, error: "Amount must be >= 1" });
 
-    const reference = "ORDER-" + Date.now();
+    const restriction = await playRestriction(formattedPhone);
+    if (restriction)
+      return res.status(403).json({ success: false, error: restriction.message, code: restriction.error, until: restriction.until });
+    const overLimit = await checkLimits(formattedPhone, 'deposit', Math.round(amount));
+    if (overLimit)
+      return res.status(403).json({ success: false, error: overLimit, code: 'deposit_limit' });
+
+    const reference = "ORDER-" + Date.now() + "-" + crypto.randomBytes(3).toString('hex');
+
+    // Record the receipt before the STK push so an early callback finds it
+    await pool.query(
+      'INSERT INTO receipts (reference, phone, amount) VALUES ($1, $2, $3)',
+      [reference, formattedPhone, Math.round(amount)]
+    );
 
     const payload = {
       amount: Math.round(amount),
       phone_number: formattedPhone,
       external_reference: reference,
       customer_name: "Customer",
-      callback_url: process.env.BASE_URL + "/callback",
-      channel_id: "000603"
+      callback_url: callbackUrl("/callback"),
+      channel_id: PAYMENT_CHANNEL_ID
     };
 
     const resp = await axios.post(
-      "https://swiftwallet.co.ke/v3/stk-initiate/",
+      `${PAYMENT_API_URL}/stk-initiate/`,
       payload,
       {
         headers: {
-          Authorization: `Bearer ${process.env.SWIFTWALLET_KEY}`,
+          Authorization: `Bearer ${PAYMENT_API_KEY}`,
           "Content-Type": "application/json"
         }
       }
     );
 
     if (resp.data.success) {
-      const receiptData = {
-        reference,
-        amount: Math.round(amount),
-        phone: formattedPhone,
-        status: "pending",
-        timestamp: new Date().toISOString()
-      };
-
-      let receipts = readReceipts();
-      receipts[reference] = receiptData;
-      writeReceipts(receipts);
+      await pool.query(
+        'UPDATE receipts SET provider_reference = $1 WHERE reference = $2',
+        [resp.data.checkout_request_id || resp.data.reference || null, reference]
+      );
 
       res.json({ success: true, reference });
 
     } else {
+      await settleDeposit(reference, { success: false, reason: resp.data.error || "Failed to initiate payment" });
       res.status(400).json({
         success: false,
         error: resp.data.error || "Failed to initiate payment"
@@ -904,91 +4208,358 @@ app.post("/pay", async (req, res) => {
   }
 });
 
-app.post("/callback", async (req, res) => {
+app.post("/callback", verifyPaymentCallback, async (req, res) => {
   const data = req.body;
   const ref = data.external_reference;
-
-  let receipts = readReceipts();
-  const existingReceipt = receipts[ref] || {};
   const resultCode = data.result?.ResultCode;
 
-  if (resultCode === 0) {
+  // Phone and amount always come from our own receipt, never from the callback
+  try {
+    const settled = await settleDeposit(ref, {
+      success: resultCode === 0,
+      transactionCode: data.result?.MpesaReceiptNumber || null,
+      reason: data.result?.ResultDesc || "Payment failed"
+    });
+    if (settled) {
+      console.log(`✅ Deposit ${ref} settled as ${settled.status}`);
+    } else {
+      console.log(`ℹ️ Ignored callback for unknown or already settled deposit ${ref}`);
+    }
+  } catch (err) {
+    console.error("❌ DB update failed:", err.message);
+  }
 
-    receipts[ref] = {
-      ...existingReceipt,
-      status: "success",
-      transaction_code: data.result?.MpesaReceiptNumber || null,
-      amount: data.result?.Amount || existingReceipt.amount,
-      phone: data.result?.Phone || existingReceipt.phone,
-      timestamp: new Date().toISOString()
-    };
+  res.json({ ResultCode: 0, ResultDesc: "Callback received" });
+});
 
-    writeReceipts(receipts);
+/* =========================
+   DEPOSIT RECONCILIATION
+========================= */
 
-    // ✅ DIRECT DATABASE UPDATE (NO HTTP CALL)
-    try {
-      await pool.query(
-        'UPDATE users SET balance = balance + $1 WHERE phone = $2',
-        [receipts[ref].amount, receipts[ref].phone]
-      );
-      await pool.query('INSERT INTO transactions (phone, amount, type, reference, status) VALUES ($1, $2, $3, $4, $5)', 
-        [receipts[ref].phone, receipts[ref].amount, 'deposit', ref, 'success']);
-      await pool.query('INSERT INTO notifications (phone, message) VALUES ($1, $2)',
-        [receipts[ref].phone, `Your deposit of KSH ${receipts[ref].amount} was successful.`]);
-
-      // Process Referral Commission (5%)
-      const userRes = await pool.query('SELECT username, referral_code FROM users WHERE phone = $1', [receipts[ref].phone]);
-      if (userRes.rows.length > 0 && userRes.rows[0].referral_code) {
-        const referrerUsername = userRes.rows[0].referral_code;
-        const commission = receipts[ref].amount * 0.05;
-        
-        await pool.query('UPDATE users SET balance = balance + $1 WHERE username = $2', [commission, referrerUsername]);
-        
-        const referrerRes = await pool.query('SELECT phone FROM users WHERE username = $1', [referrerUsername]);
-        if (referrerRes.rows.length > 0) {
-           const referrerPhone = referrerRes.rows[0].phone;
-           await pool.query("INSERT INTO transactions (phone, amount, type, status) VALUES ($1, $2, 'referral_commission', 'success')", [referrerPhone, commission]);
-           await pool.query("INSERT INTO notifications (phone, message) VALUES ($1, $2)", [referrerPhone, `You received KSH ${commission.toFixed(2)} commission from ${userRes.rows[0].username}'s deposit.`]);
-        }
+// Deposits whose callback never arrived are polled against the provider's
+// transaction-status API and settled through settleDeposit(), exactly like
+// /callback. Receipts still pending past the deadline expire as failed.
+const DEPOSIT_RECHECK_INTERVAL_SECONDS = parseInt(process.env.DEPOSIT_RECHECK_INTERVAL_SECONDS) || 60;
+const DEPOSIT_RECHECK_AFTER_MINUTES = parseInt(process.env.DEPOSIT_RECHECK_AFTER_MINUTES) || 2;
+const DEPOSIT_EXPIRE_AFTER_MINUTES = parseInt(process.env.DEPOSIT_EXPIRE_AFTER_MINUTES) || 30;
+
+let depositReconciliationRunning = false;
+
+// Maps a transaction-status response to 'success', 'failed' or 'pending'
+function readProviderStatus(data) {
+  const resultCode = data.result?.ResultCode ?? data.ResultCode;
+  const status = String(data.status || '').toLowerCase();
+
+  if (resultCode === 0 || resultCode === '0' || ['success', 'completed'].includes(status)) {
+    return { state: 'success', transactionCode: data.result?.MpesaReceiptNumber || data.mpesa_receipt || null };
+  }
+  if ((resultCode !== undefined && resultCode !== null) || ['failed', 'cancelled', 'expired'].includes(status)) {
+    return { state: 'failed', reason: data.result?.ResultDesc || data.message || 'Payment failed' };
+  }
+  return { state: 'pending' };
+}
+
+async function recheckDeposit(receipt) {
+  await pool.query(
+    'UPDATE receipts SET check_attempts = check_attempts + 1, last_checked_at = NOW() WHERE reference = $1',
+    [receipt.reference]
+  );
+
+  let outcome = { state: 'pending' };
+  try {
+    const resp = await axios.post(
+      `${PAYMENT_API_URL}/transaction-status/`,
+      { external_reference: receipt.reference, checkout_request_id: receipt.provider_reference },
+      { headers: { Authorization: `Bearer ${PAYMENT_API_KEY}`, "Content-Type": "application/json" } }
+    );
+    outcome = readProviderStatus(resp.data || {});
+  } catch (err) {
+    console.error(`❌ Status check for ${receipt.reference} failed:`, err.message);
+  }
+
+  if (outcome.state === 'pending') {
+    const ageMinutes = (Date.now() - new Date(receipt.created_at).getTime()) / 60000;
+    if (ageMinutes < DEPOSIT_EXPIRE_AFTER_MINUTES) return { status: 'pending' };
+    outcome = { state: 'failed', reason: 'Expired without confirmation from the provider' };
+  }
+
+  const settled = await settleDeposit(receipt.reference, {
+    success: outcome.state === 'success',
+    transactionCode: outcome.transactionCode,
+    reason: outcome.reason
+  });
+  return { status: settled ? settled.status : 'already_settled' };
+}
+
+async function reconcilePendingDeposits() {
+  if (depositReconciliationRunning) return;
+  depositReconciliationRunning = true;
+  try {
+    const stale = await pool.query(
+      `SELECT * FROM receipts WHERE status = 'pending' AND created_at < NOW() - $1 * INTERVAL '1 minute'
+       ORDER BY created_at LIMIT 50`,
+      [DEPOSIT_RECHECK_AFTER_MINUTES]
+    );
+    for (const receipt of stale.rows) {
+      try {
+        const result = await recheckDeposit(receipt);
+        if (result.status !== 'pending') console.log(`🔁 Reconciled deposit ${receipt.reference}: ${result.status}`);
+      } catch (err) {
+        console.error(`❌ Reconciling ${receipt.reference} failed:`, err.message);
       }
+    }
+  } catch (err) {
+    console.error("❌ Deposit reconciliation failed:", err.message);
+  } finally {
+    depositReconciliationRunning = false;
+  }
+}
 
-      console.log("✅ Balance updated in PostgreSQL");
-    } catch (err) {
-      console.error("❌ DB update failed:", err.message);
+function startDepositReconciliation() {
+  setInterval(reconcilePendingDeposits, DEPOSIT_RECHECK_INTERVAL_SECONDS * 1000);
+}
+
+app.get('/admin/deposits/pending', requireAdmin(), async (req, res) => {
+  try {
+    const pending = await pool.query("SELECT * FROM receipts WHERE status = 'pending' ORDER BY created_at DESC LIMIT 200");
+    res.json({success: true, deposits: pending.rows});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/deposits/:reference/recheck', requireAdmin('support', 'finance'), async (req, res) => {
+  try {
+    const receipt = await findReceipt(req.params.reference);
+    if(!receipt) return res.status(404).json({error: 'Receipt not found'});
+    if(receipt.status !== 'pending') return res.status(400).json({error: `Deposit is already ${receipt.status}`});
+
+    const result = await recheckDeposit(receipt);
+    await auditLog(pool, req, { action: 'deposit.recheck', targetType: 'receipt', targetId: receipt.reference, before: { status: 'pending' }, after: result });
+    res.json({success: true, ...result});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+/* =========================
+   WITHDRAWAL PAYOUTS (B2C)
+========================= */
+
+// Withdrawals move pending -> sending -> processing -> paid/failed. Amounts
+// above WITHDRAWAL_APPROVAL_LIMIT stay pending until an admin approves them.
+// A row is moved to sending before the provider is called, so it is sent at
+// most once; if the call gets no answer it stays there until an admin
+// rechecks it. Funds are held from the moment of the request and refunded on
+// failure.
+const WITHDRAWAL_APPROVAL_LIMIT = parseFloat(process.env.WITHDRAWAL_APPROVAL_LIMIT) || 50000;
+const PAYOUT_REQUEST_TIMEOUT_MS = 30000;
+const WITHDRAWAL_RECHECK_AFTER_MINUTES = 1;
+
+// Expects a withdrawal already claimed as 'sending'
+async function sendWithdrawal(withdrawal) {
+  const payload = {
+    amount: Math.round(withdrawal.amount),
+    phone_number: withdrawal.phone,
+    external_reference: withdrawal.reference,
+    callback_url: callbackUrl("/withdraw/callback"),
+    channel_id: PAYMENT_CHANNEL_ID
+  };
+
+  try {
+    const resp = await axios.post(`${PAYMENT_API_URL}/b2c-initiate/`, payload, {
+      headers: {
+        Authorization: `Bearer ${PAYOUT_API_KEY}`,
+        "Content-Type": "application/json"
+      },
+      timeout: PAYOUT_REQUEST_TIMEOUT_MS
+    });
+
+    if (!resp.data.success) {
+      await failWithdrawal(withdrawal.reference, resp.data.error || "Payout rejected by provider");
+      return 'failed';
     }
 
-  } else {
-    receipts[ref] = {
-      ...existingReceipt,
-      status: "failed",
-      timestamp: new Date().toISOString()
-    };
-    writeReceipts(receipts);
+    const processing = await pool.query(
+      "UPDATE withdrawals SET status = 'processing', provider_reference = $1, updated_at = NOW() WHERE reference = $2 AND status = 'sending' RETURNING *",
+      [resp.data.reference || resp.data.transaction_id || null, withdrawal.reference]
+    );
+    if (processing.rows.length > 0) pushToUser(withdrawal.phone, 'withdrawal', withdrawalView(processing.rows[0]));
+    return 'processing';
+  } catch (err) {
+    // No response means we cannot tell whether the provider took the payout,
+    // so the funds stay held and the withdrawal sending for an admin to recheck.
+    if (!err.response) {
+      console.error("❌ Payout request failed:", err.message);
+      return 'sending';
+    }
+    await failWithdrawal(withdrawal.reference, err.response.data?.error || err.message);
+    return 'failed';
+  }
+}
+
+async function completeWithdrawal(reference, transactionCode) {
+  return withTransaction(async (client) => {
+    const updated = await client.query(
+      "UPDATE withdrawals SET status = 'paid', transaction_code = $1, updated_at = NOW() WHERE reference = $2 AND status IN ('pending', 'sending', 'processing') RETURNING *",
+      [transactionCode, reference]
+    );
+    if (updated.rows.length === 0) return null;
+
+    const w = updated.rows[0];
+    await client.query("UPDATE transactions SET status = 'success' WHERE id = $1", [w.transaction_id]);
+    await houseTransfer(client, HOUSE_ACCOUNTS.withdrawal, 'house:cashier', w.amount, 'withdrawal_paid');
+    await notify(client, w.phone, `Withdrawal of KSH ${parseFloat(w.amount).toFixed(2)} was successful.`);
+    afterCommit(client, () => pushToUser(w.phone, 'withdrawal', withdrawalView(w)));
+    return w;
+  });
+}
+
+async function failWithdrawal(reference, reason) {
+  return withTransaction(async (client) => {
+    const updated = await client.query(
+      "UPDATE withdrawals SET status = 'failed', failure_reason = $1, updated_at = NOW() WHERE reference = $2 AND status IN ('pending', 'sending', 'processing') RETURNING *",
+      [reason, reference]
+    );
+    if (updated.rows.length === 0) return null;
+
+    const w = updated.rows[0];
+    await client.query("UPDATE transactions SET status = 'failed' WHERE id = $1", [w.transaction_id]);
+    await walletPost(client, w.phone, w.amount, 'withdrawal_refund', {
+      reference: w.reference,
+      notification: `Withdrawal of KSH ${parseFloat(w.amount).toFixed(2)} failed. The amount has been returned to your balance.`
+    });
+    afterCommit(client, () => pushToUser(w.phone, 'withdrawal', withdrawalView(w)));
+    return w;
+  });
+}
+
+// Resolves a withdrawal left in 'sending' by asking the provider about its
+// external_reference. It is only sent again if the provider never took it or
+// reports it failed. The claim on updated_at stops two rechecks racing.
+async function recheckWithdrawal(reference) {
+  const claimed = await pool.query(
+    `UPDATE withdrawals SET updated_at = NOW()
+     WHERE reference = $1 AND status = 'sending' AND updated_at < NOW() - $2 * INTERVAL '1 minute' RETURNING *`,
+    [reference, WITHDRAWAL_RECHECK_AFTER_MINUTES]
+  );
+  if (claimed.rows.length === 0) return null;
+  const withdrawal = claimed.rows[0];
+
+  let outcome;
+  try {
+    const resp = await axios.post(
+      `${PAYMENT_API_URL}/transaction-status/`,
+      { external_reference: withdrawal.reference, checkout_request_id: withdrawal.provider_reference },
+      { headers: { Authorization: `Bearer ${PAYOUT_API_KEY}`, "Content-Type": "application/json" }, timeout: PAYOUT_REQUEST_TIMEOUT_MS }
+    );
+    outcome = readProviderStatus(resp.data || {});
+  } catch (err) {
+    if (err.response?.status !== 404) {
+      console.error(`❌ Status check for ${withdrawal.reference} failed:`, err.message);
+      return 'sending';
+    }
+    outcome = { state: 'failed' };
+  }
+
+  if (outcome.state === 'success') {
+    await completeWithdrawal(withdrawal.reference, outcome.transactionCode);
+    return 'paid';
+  }
+  if (outcome.state === 'pending') {
+    const processing = await pool.query(
+      "UPDATE withdrawals SET status = 'processing', updated_at = NOW() WHERE reference = $1 AND status = 'sending' RETURNING *",
+      [withdrawal.reference]
+    );
+    if (processing.rows.length > 0) pushToUser(withdrawal.phone, 'withdrawal', withdrawalView(processing.rows[0]));
+    return 'processing';
+  }
+  return sendWithdrawal(withdrawal);
+}
+
+app.post("/withdraw/callback", verifyPaymentCallback, async (req, res) => {
+  const data = req.body;
+  const ref = data.external_reference;
+  const resultCode = data.result?.ResultCode;
+
+  try {
+    if (resultCode === 0) {
+      await completeWithdrawal(ref, data.result?.TransactionReceipt || data.result?.MpesaReceiptNumber || null);
+    } else {
+      await failWithdrawal(ref, data.result?.ResultDesc || "Payout failed");
+    }
+  } catch (err) {
+    console.error("❌ Withdrawal callback failed:", err.message);
   }
 
   res.json({ ResultCode: 0, ResultDesc: "Callback received" });
 });
 
+app.get('/admin/withdrawals', requireAdmin(), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const w = status
+      ? await pool.query("SELECT * FROM withdrawals WHERE status = $1 ORDER BY created_at DESC LIMIT 100", [status])
+      : await pool.query("SELECT * FROM withdrawals ORDER BY created_at DESC LIMIT 100");
+    res.json({success: true, withdrawals: w.rows});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/withdrawals/:reference/approve', requireAdmin('finance'), async (req, res) => {
+  try {
+    const w = await pool.query(
+      "UPDATE withdrawals SET status = 'sending', approved_at = NOW(), updated_at = NOW() WHERE reference = $1 AND status = 'pending' AND approved_at IS NULL RETURNING *",
+      [req.params.reference]
+    );
+    if(w.rows.length === 0) return res.status(400).json({error: 'Withdrawal not found or not pending'});
+    await auditLog(pool, req, { action: 'withdrawal.approve', targetType: 'withdrawal', targetId: req.params.reference, before: { status: 'pending' }, after: { status: 'approved', amount: w.rows[0].amount, phone: w.rows[0].phone } });
+    const status = await sendWithdrawal(w.rows[0]);
+    res.json({success: true, status});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/withdrawals/:reference/recheck', requireAdmin('finance'), async (req, res) => {
+  try {
+    const status = await recheckWithdrawal(req.params.reference);
+    if(!status) return res.status(400).json({error: `Withdrawal not found, not awaiting a provider answer or checked less than ${WITHDRAWAL_RECHECK_AFTER_MINUTES} minute ago`});
+    await auditLog(pool, req, { action: 'withdrawal.recheck', targetType: 'withdrawal', targetId: req.params.reference, before: { status: 'sending' }, after: { status } });
+    res.json({success: true, status});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+app.post('/admin/withdrawals/:reference/reject', requireAdmin('finance'), async (req, res) => {
+  try {
+    const w = await failWithdrawal(req.params.reference, req.body.reason || 'Rejected by admin');
+    if(!w) return res.status(400).json({error: 'Withdrawal not found or already settled'});
+    await auditLog(pool, req, { action: 'withdrawal.reject', targetType: 'withdrawal', targetId: req.params.reference, after: { status: 'failed', amount: w.amount, phone: w.phone, reason: w.failure_reason } });
+    res.json({success: true, status: 'failed'});
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
 /* =========================
    RECEIPT ROUTES
 ========================= */
 
-app.get("/receipt/:reference", (req, res) => {
+app.get("/receipt/:reference", async (req, res) => {
   const { reference } = req.params;
-  const receipts = readReceipts();
-  const receipt = receipts[reference];
+  try {
+    const receipt = await findReceipt(reference);
 
-  if (!receipt) {
-    return res.status(404).json({ success: false, error: "Receipt not found" });
-  }
+    if (!receipt) {
+      return res.status(404).json({ success: false, error: "Receipt not found" });
+    }
 
-  res.json({ success: true, receipt });
+    res.json({ success: true, receipt: receiptView(receipt) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-app.get("/receipt/:reference/pdf", (req, res) => {
+app.get("/receipt/:reference/pdf", async (req, res) => {
   const { reference } = req.params;
-  const receipts = readReceipts();
-  const receipt = receipts[reference];
+  let receipt;
+  try {
+    const row = await findReceipt(reference);
+    receipt = row && receiptView(row);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
 
   if (!receipt) {
     return res.status(404).json({ error: "Receipt not found" });
@@ -1006,11 +4577,385 @@ app.get("/receipt/:reference/pdf", (req, res) => {
   doc.text(`Amount: KES ${receipt.amount}`);
   doc.text(`Status: ${receipt.status}`);
   doc.text(`Transaction Code: ${receipt.transaction_code || "N/A"}`);
-  doc.text(`Date: ${receipt.timestamp}`);
+  doc.text(`Date: ${new Date(receipt.timestamp).toISOString()}`);
+
+  doc.end();
+});
+
+/* =========================
+   STATEMENTS
+========================= */
+
+// A statement is built from the player's ledger accounts, with cash and bonus
+// as separate sections so each wallet's opening balance plus its lines equals
+// its closing balance. The bets table supplies the bet summary. Downloaded as
+// PDF or CSV; the CSV has the ledger lines with opening and closing rows per
+// wallet, or the bets with ?section=bets.
+const BRAND_NAME = process.env.BRAND_NAME || 'SwiftCrash';
+const BRAND_COLOR = process.env.BRAND_COLOR || '#e50539';
+const STATEMENT_MAX_ROWS = parseInt(process.env.STATEMENT_MAX_ROWS) || 10000;
+
+const STATEMENT_LINE_COLUMNS = ['date', 'wallet', 'type', 'reference', 'status', 'amount', 'balance_after'];
+const STATEMENT_BET_COLUMNS = ['id', 'round_id', 'created_at', 'amount', 'cash_stake', 'bonus_stake', 'free_bet', 'status', 'multiplier', 'payout'];
+
+const STATEMENT_LABELS = {
+  deposit: 'Deposits',
+  withdrawal: 'Withdrawals',
+  withdrawal_refund: 'Withdrawal refunds',
+  bet: 'Bets',
+  win: 'Wins',
+  bet_refund: 'Bet refunds',
+  referral_bonus: 'Referral bonuses',
+  referral_commission: 'Referral commission',
+  admin_adjustment: 'Adjustments',
+  bonus_grant: 'Bonuses granted',
+  bonus_conversion: 'Bonus conversions',
+  bonus_forfeit: 'Bonuses forfeited',
+  account_closure: 'Account closure',
+  opening_balance: 'Opening balance'
+};
+
+class StatementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function buildStatement(phone, { from, to }) {
+  const user = await pool.query('SELECT phone, username FROM users WHERE phone = $1', [phone]);
+  if (user.rows.length === 0) throw new StatementError('User not found', 404);
+
+  const accounts = { [userAccount(phone)]: 'cash', [bonusAccount(phone)]: 'bonus' };
+  const count = await pool.query(
+    'SELECT COUNT(*) FROM ledger_entries WHERE account = ANY($1) AND created_at >= $2 AND created_at < $3',
+    [Object.keys(accounts), from, to]
+  );
+  if (parseInt(count.rows[0].count) > STATEMENT_MAX_ROWS)
+    throw new StatementError(`Statement has more than ${STATEMENT_MAX_ROWS} lines; choose a shorter date range`);
+
+  const opening = await pool.query(
+    'SELECT account, SUM(amount) AS balance FROM ledger_entries WHERE account = ANY($1) AND created_at < $2 GROUP BY account',
+    [Object.keys(accounts), from]
+  );
+  const entries = await pool.query(
+    `SELECT l.created_at, l.account, l.type, l.amount, l.balance_after, t.reference, t.status
+     FROM ledger_entries l LEFT JOIN transactions t ON t.id = l.transaction_id
+     WHERE l.account = ANY($1) AND l.created_at >= $2 AND l.created_at < $3 ORDER BY l.id`,
+    [Object.keys(accounts), from, to]
+  );
+  const bets = await pool.query(
+    `SELECT id, round_id, created_at, amount, cash_stake, bonus_stake, free_bet_id, status, multiplier,
+            COALESCE(cash_win + bonus_win, CASE WHEN status = 'cashed_out' THEN ROUND(amount * multiplier, 2) ELSE 0 END) AS payout
+     FROM bets WHERE phone = $1 AND round_id IS NOT NULL AND status <> 'cancelled' AND created_at >= $2 AND created_at < $3
+     ORDER BY id LIMIT $4`,
+    [phone, from, to, STATEMENT_MAX_ROWS]
+  );
+
+  // Each wallet reconciles on its own: opening + its totals = closing
+  const balances = { cash: { opening: 0, totals: {} }, bonus: { opening: 0, totals: {} } };
+  for (const row of opening.rows) balances[accounts[row.account]].opening = parseFloat(row.balance);
+
+  const lines = entries.rows.map(e => {
+    const wallet = accounts[e.account];
+    const amount = parseFloat(e.amount);
+    const totals = balances[wallet].totals;
+    totals[e.type] = toCents((totals[e.type] || 0) + amount);
+    return {
+      date: e.created_at,
+      wallet,
+      type: e.type,
+      reference: e.reference,
+      status: e.status,
+      amount,
+      balance_after: parseFloat(e.balance_after)
+    };
+  });
+  for (const wallet of Object.keys(balances)) {
+    const moved = lines.filter(l => l.wallet === wallet).reduce((sum, l) => sum + l.amount, 0);
+    balances[wallet].closing = toCents(balances[wallet].opening + moved);
+  }
+
+  const settled = bets.rows.filter(b => b.status !== 'void');
+  const betSummary = {
+    count: settled.length,
+    won: settled.filter(b => b.status === 'cashed_out').length,
+    staked: toCents(settled.reduce((sum, b) => sum + parseFloat(b.amount), 0)),
+    paid_out: toCents(settled.reduce((sum, b) => sum + parseFloat(b.payout), 0)),
+    best_multiplier: settled.reduce((best, b) => b.status === 'cashed_out' ? Math.max(best, parseFloat(b.multiplier)) : best, 0) || null
+  };
+
+  return {
+    phone,
+    username: user.rows[0].username,
+    from,
+    to,
+    balances,
+    lines,
+    bets: bets.rows.map(b => ({
+      ...b,
+      free_bet: b.free_bet_id !== null,
+      payout: parseFloat(b.payout)
+    })),
+    betSummary
+  };
+}
+
+function money(amount) {
+  const value = toCents(amount);
+  return `${value < 0 ? '-' : ''}KES ${Math.abs(value).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Starts a branded A4 document: a header band on every page, then the info
+// lines. Returns helpers for section headings and table rows whose column
+// widths are fractions of the page; rows break onto a new page as needed.
+function brandedPdf(doc, title, info) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  const header = () => {
+    doc.rect(0, 0, doc.page.width, 70).fill(BRAND_COLOR);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22).text(BRAND_NAME, left, 24);
+    doc.font('Helvetica').fontSize(12).text(title, left, 30, { width, align: 'right' });
+    doc.fillColor('#000000').text('', left, 90);
+  };
+  doc.on('pageAdded', header);
+  header();
+
+  doc.fontSize(10);
+  for (const line of [...info, `Generated: ${new Date().toISOString().replace('T', ' ').slice(0, 19)} UTC`]) doc.text(line, left);
+  doc.moveDown();
+
+  const row = (cells, fractions, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cells.forEach((cell, i) => {
+      const w = fractions[i] * width;
+      doc.text(cell === null || cell === undefined ? '' : String(cell), x, y, { width: w - 4, lineBreak: false, ellipsis: true });
+      x += w;
+    });
+    doc.x = left;
+    doc.y = y + 13;
+  };
+  const heading = (text) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR).text(text, left).fillColor('#000000').moveDown(0.3);
+  };
+  return { row, heading };
+}
+
+function statementPdf(doc, statement) {
+  const lastDay = new Date(statement.to.getTime() - 1);
+  const { row, heading } = brandedPdf(doc, 'Account Statement', [
+    `Account: ${statement.username} (${statement.phone})`,
+    `Period: ${statement.from.toISOString().slice(0, 10)} to ${lastDay.toISOString().slice(0, 10)}`
+  ]);
+
+  const pair = [0.6, 0.4];
+  const walletSummary = (title, wallet) => {
+    heading(title);
+    row(['Opening balance', money(wallet.opening)], pair, { bold: true });
+    for (const [type, total] of Object.entries(wallet.totals)) {
+      row([STATEMENT_LABELS[type] || type, money(total)], pair);
+    }
+    row(['Closing balance', money(wallet.closing)], pair, { bold: true });
+  };
+  const { cash, bonus } = statement.balances;
+  walletSummary('Cash wallet', cash);
+  if (bonus.opening !== 0 || Object.keys(bonus.totals).length > 0) walletSummary('Bonus wallet', bonus);
+
+  heading('Bets');
+  row(['Rounds played / won', `${statement.betSummary.count} / ${statement.betSummary.won}`], pair);
+  row(['Total staked / paid out', `${money(statement.betSummary.staked)} / ${money(statement.betSummary.paid_out)}`], pair);
+  if (statement.betSummary.best_multiplier) row(['Best cashout', `${statement.betSummary.best_multiplier.toFixed(2)}x`], pair);
+
+  heading('Transactions');
+  const widths = [0.2, 0.08, 0.17, 0.25, 0.15, 0.15];
+  row(['Date', 'Wallet', 'Type', 'Reference', 'Amount', 'Balance'], widths, { bold: true });
+  if (statement.lines.length === 0) row(['No transactions in this period'], [1]);
+  for (const line of statement.lines) {
+    row([
+      line.date.toISOString().replace('T', ' ').slice(0, 16),
+      line.wallet,
+      (STATEMENT_LABELS[line.type] || line.type) + (line.status && line.status !== 'success' ? ` (${line.status})` : ''),
+      line.reference,
+      money(line.amount),
+      money(line.balance_after)
+    ], widths);
+  }
 
   doc.end();
+}
+
+async function sendStatement(req, res, phone) {
+  const range = parseDateRange(req.query.from, req.query.to);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const format = req.query.format || 'pdf';
+  if (!['pdf', 'csv'].includes(format)) return res.status(400).json({ error: 'format must be pdf or csv' });
+
+  let statement;
+  try {
+    statement = await buildStatement(phone, range);
+  } catch (err) {
+    if (err instanceof StatementError) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    return res.status(500).json({ error: 'Server error building statement' });
+  }
+
+  const name = `statement-${phone}-${range.from.toISOString().slice(0, 10)}`;
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    if (req.query.section === 'bets') {
+      res.setHeader('Content-Disposition', `attachment; filename=${name}-bets.csv`);
+      return res.send(toCsv(STATEMENT_BET_COLUMNS, statement.bets));
+    }
+    const { cash, bonus } = statement.balances;
+    const rows = [
+      { date: statement.from, wallet: 'cash', type: 'opening_balance', balance_after: cash.opening },
+      { date: statement.from, wallet: 'bonus', type: 'opening_balance', balance_after: bonus.opening },
+      ...statement.lines,
+      { date: statement.to, wallet: 'cash', type: 'closing_balance', balance_after: cash.closing },
+      { date: statement.to, wallet: 'bonus', type: 'closing_balance', balance_after: bonus.closing }
+    ];
+    res.setHeader('Content-Disposition', `attachment; filename=${name}.csv`);
+    return res.send(toCsv(STATEMENT_LINE_COLUMNS, rows));
+  }
+
+  const doc = new PDFDocument({ margin: 40, size: 'A4' });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${name}.pdf`);
+  doc.pipe(res);
+  statementPdf(doc, statement);
+}
+
+// GET /api/statement?from=2024-01-01&to=2024-01-31&format=pdf|csv[&section=bets]
+app.get('/api/statement', tokenFromQuery, requireAuth, (req, res) => sendStatement(req, res, req.phone));
+
+app.get('/admin/users/:id/statement', requireAdmin('finance'), async (req, res) => {
+  try {
+    const user = await pool.query('SELECT phone FROM users WHERE id = $1', [req.params.id]);
+    if (user.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    await sendStatement(req, res, user.rows[0].phone);
+  } catch(e) { res.status(500).json({error: e.message}); }
+});
+
+/* =========================
+   WEBSOCKET GAME TRANSPORT
+========================= */
+
+// /ws carries the same game events as /api/stream and takes bet, cancel and
+// cashout commands in-band, so a cashout skips the HTTP round trip. Clients
+// authenticate with ?access_token= or an { type: 'auth', token } message.
+// Commands are { type, id, ...fields } and every one is answered with
+// { type: 'ack', id, ok, ... } carrying the same body as the HTTP route.
+// The session is checked once at auth and trusted until the access token
+// expires; logout, suspension and revocation sign sockets out through
+// closeUserStreams().
+const sockets = new Set();
+const wss = new WebSocketServer({ noServer: true });
+
+function authenticateSocket(ws, auth) {
+  ws.phone = auth.phone;
+  ws.sessionId = auth.sessionId;
+  ws.authExpiresAt = auth.exp * 1000;
+}
+
+function closeUserSockets(phone, sessionId = null) {
+  for (const ws of sockets) {
+    if (ws.phone !== phone || (sessionId && ws.sessionId !== sessionId)) continue;
+    ws.phone = null;
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: 'logout' }));
+  }
+}
+
+// Like the SSE stream, a socket that cannot keep up is dropped rather than
+// buffered without limit; the client reconnects and gets a fresh snapshot.
+function broadcastSockets(data) {
+  const msg = JSON.stringify({ type: 'game', ...data });
+  for (const ws of sockets) {
+    if (ws.readyState !== ws.OPEN) continue;
+    if (ws.bufferedAmount > SSE_MAX_BUFFERED_BYTES) {
+      sockets.delete(ws);
+      ws.terminate();
+    } else {
+      ws.send(msg);
+    }
+  }
+}
+
+const SOCKET_COMMANDS = {
+  bet: (phone, msg) => placeBet(phone, msg),
+  cancel: (phone, msg) => cancelBet(phone, msg.betId),
+  cashout: (phone, msg) => cashOutBet(phone, msg.betId),
+  'auto-cashout': (phone, msg) => setAutoCashout(phone, msg.betId, msg.autoCashout)
+};
+
+async function handleSocketMessage(ws, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch (err) {}
+  if (!msg || typeof msg !== 'object') {
+    return ws.send(JSON.stringify({ type: 'ack', id: null, ok: false, error: 'Invalid JSON' }));
+  }
+  const ack = body => ws.send(JSON.stringify({ type: 'ack', id: msg.id !== undefined ? msg.id : null, ...body }));
+
+  if (msg.type === 'auth') {
+    const auth = await verifyAccessToken(msg.token);
+    if (auth.error) return ack({ ok: false, error: auth.error, status: auth.status });
+    authenticateSocket(ws, auth);
+    return ack({ ok: true });
+  }
+  if (msg.type === 'ping') return ack({ ok: true });
+
+  const command = SOCKET_COMMANDS[msg.type];
+  if (!command) return ack({ ok: false, error: 'Unknown message type' });
+  if (!ws.phone) return ack({ ok: false, error: 'Authentication required', status: 401 });
+
+  // Once the access token expires the client sends a fresh one with 'auth'
+  if (Date.now() >= ws.authExpiresAt) {
+    ws.phone = null;
+    return ack({ ok: false, error: 'Invalid or expired token', status: 401 });
+  }
+
+  try {
+    ack({ ok: true, ...await command(ws.phone, msg) });
+  } catch (err) {
+    if (err instanceof BetError || err instanceof WalletError) return ack({ ok: false, error: err.message, status: err.status });
+    console.error(err);
+    ack({ ok: false, error: 'Server error', status: 500 });
+  }
+}
+
+wss.on('connection', (ws, req) => {
+  // Messages that arrive while the ?access_token= check is still running wait
+  // for it instead of being dropped or answered as unauthenticated
+  const token = new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  const ready = !token ? Promise.resolve() : verifyAccessToken(token)
+    .then(auth => {
+      if (!auth.error) authenticateSocket(ws, auth);
+    })
+    .catch(err => console.error('WebSocket auth error:', err.message));
+
+  ws.on('message', raw => {
+    ready
+      .then(() => handleSocketMessage(ws, raw.toString()))
+      .catch(err => console.error(err));
+  });
+  ws.on('error', err => console.error('WebSocket error:', err.message));
+  ws.on('close', () => sockets.delete(ws));
+
+  ws.send(JSON.stringify({ type: 'game', ...streamSnapshot() }));
+  sockets.add(ws);
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Unified Server running on port ${PORT}`);
 });
+
+server.on('upgrade', (req, socket, head) => {
+  if (new URL(req.url, 'http://localhost').pathname !== '/ws') return socket.destroy();
+  wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+});